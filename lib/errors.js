@@ -24,6 +24,20 @@ var WError = verror.WError;
 
 ///--- Errors
 
+function BucketDriftError(cause, buckets) {
+    if (arguments.length === 1) {
+        buckets = cause;
+        cause = {};
+    }
+
+    WError.call(this, cause, 'buckets differ from their expected schema: %s',
+                buckets.join(', '));
+
+    this.name = this.constructor.name;
+}
+util.inherits(BucketDriftError, WError);
+
+
 function ConnectTimeoutError(cause, service, timeout) {
     if (arguments.length === 2) {
         timeout = service;
@@ -39,6 +53,19 @@ function ConnectTimeoutError(cause, service, timeout) {
 util.inherits(ConnectTimeoutError, WError);
 
 
+function DirectoryNotEmptyError(cause, key) {
+    if (arguments.length === 1) {
+        key = cause;
+        cause = {};
+    }
+
+    WError.call(this, cause, '%s is not empty', key);
+
+    this.name = this.constructor.name;
+}
+util.inherits(DirectoryNotEmptyError, WError);
+
+
 function HealthCheckError(cause, service, reason) {
     if (arguments.length === 2) {
         reason = service;
@@ -66,6 +93,19 @@ function InvalidDataError(cause, msg) {
 util.inherits(InvalidDataError, WError);
 
 
+function InvalidMarkerError(cause, marker) {
+    if (arguments.length === 1) {
+        marker = cause;
+        cause = {};
+    }
+
+    WError.call(this, cause, '%s is not a valid marker', marker);
+
+    this.name = this.constructor.name;
+}
+util.inherits(InvalidMarkerError, WError);
+
+
 function NameResolutionError(cause, service) {
     if (arguments.length === 1) {
         service = cause;
@@ -93,6 +133,79 @@ function NotConnectedError(cause, service, remote) {
 util.inherits(NotConnectedError, WError);
 
 
+function PreconditionFailedError(cause, key, reason) {
+    if (arguments.length === 2) {
+        reason = key;
+        key = cause;
+        cause = {};
+    }
+
+    WError.call(this, cause, '%s: precondition failed (%s)', key, reason);
+
+    this.name = this.constructor.name;
+}
+util.inherits(PreconditionFailedError, WError);
+
+
+/*
+ * The more specific precondition failures below are all instances of
+ * PreconditionFailedError, so callers can handle them together.
+ */
+function IfMatchFailedError(cause, key, etag) {
+    if (arguments.length === 2) {
+        etag = key;
+        key = cause;
+        cause = {};
+    }
+
+    WError.call(this, cause, '%s: etag does not match %s', key, etag);
+
+    this.name = this.constructor.name;
+}
+util.inherits(IfMatchFailedError, PreconditionFailedError);
+
+
+function IfNoneMatchFailedError(cause, key) {
+    if (arguments.length === 1) {
+        key = cause;
+        cause = {};
+    }
+
+    WError.call(this, cause, '%s: already exists', key);
+
+    this.name = this.constructor.name;
+}
+util.inherits(IfNoneMatchFailedError, PreconditionFailedError);
+
+
+function IfUnmodifiedSinceFailedError(cause, key, since) {
+    if (arguments.length === 2) {
+        since = key;
+        key = cause;
+        cause = {};
+    }
+
+    WError.call(this, cause, '%s: modified since %s', key,
+                new Date(since).toUTCString());
+
+    this.name = this.constructor.name;
+}
+util.inherits(IfUnmodifiedSinceFailedError, PreconditionFailedError);
+
+
+function ShuttingDownError(cause, service) {
+    if (arguments.length === 1) {
+        service = cause;
+        cause = {};
+    }
+
+    WError.call(this, cause, '%s: shutting down', service);
+
+    this.name = this.constructor.name;
+}
+util.inherits(ShuttingDownError, WError);
+
+
 function UserDoesNotExistError(cause, u) {
     if (arguments.length === 1) {
         u = cause;
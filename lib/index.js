@@ -20,7 +20,10 @@ reexport(require('./bunyan'));
 reexport(require('./errors'));
 reexport(require('./jobs'));
 reexport(require('./mahi'));
+reexport(require('./metrics'));
 reexport(require('./queue'));
 reexport(require('./moray'));
+reexport(require('./moray_memory'));
+reexport(require('./moray_sharded'));
 reexport(require('./utils'));
 reexport(require('./auth'));
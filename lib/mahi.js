@@ -196,6 +196,14 @@ function createRedisClient(opts, cb) {
 }
 
 
+function instrument(client, method, cb) {
+    if (!client.metrics)
+        return (cb);
+
+    return (client.metrics.instrument('mahi', method, cb));
+}
+
+
 
 ///--- Mahi APIs
 
@@ -212,6 +220,7 @@ function createRedisClient(opts, cb) {
  *   connectTimeout: 1000,
  *   host: '10.1.2.3',
  *   log: $bunyan,
+ *   metrics: $collector, // optional, from createMetricsCollector()
  *   redis_options: {
  *     // anything that can be passed into node_redis options
  *   },
@@ -245,6 +254,7 @@ function MahiClient(opts) {
     assert.optionalNumber(opts.retries, 'options.retries');
     assert.optionalNumber(opts.minTimeout, 'options.minTimeout');
     assert.optionalNumber(opts.maxTimeout, 'options.maxTimeout');
+    assert.optionalObject(opts.metrics, 'options.metrics');
 
     EventEmitter.call(this);
 
@@ -255,6 +265,7 @@ function MahiClient(opts) {
     this.checkInterval = opts.checkInterval || 10000;
     this.host = opts.host;
     this.log = opts.log.child({component: 'mahi'}, true);
+    this.metrics = opts.metrics || null;
     this.port = opts.port || 6379;
     this._whatami = 'MahiClient';
     this._url = 'tcp://' + this.host + ':' + this.port;
@@ -390,7 +401,7 @@ MahiClient.prototype.userFromLogin = function userFromLogin(login, opts, cb) {
     assert.object(opts, 'options');
     assert.func(cb, 'callback');
 
-    cb = once(cb);
+    cb = once(instrument(this, 'userFromLogin', cb));
 
     if (!this.redis) {
         setTimeout(cb, 0, new NotConnectedError('mahi', this._url));
@@ -470,7 +481,7 @@ MahiClient.prototype.userFromUUID = function userFromUUID(uuid, opts, cb) {
     assert.object(opts, 'options');
     assert.func(cb, 'callback');
 
-    cb = once(cb);
+    cb = once(instrument(this, 'userFromUUID', cb));
 
     if (!this.redis) {
         cb(new NotConnectedError('mahi', this._url));
@@ -540,7 +551,7 @@ MahiClient.prototype.setMembers = function setMembers(set, opts, cb) {
     assert.object(opts, 'options');
     assert.func(cb, 'callback');
 
-    cb = once(cb);
+    cb = once(instrument(this, 'setMembers', cb));
 
     var log = opts.log || this.log;
 
@@ -570,6 +581,13 @@ MahiClient.prototype.toString = function toString() {
 };
 
 
+utils.promisifyMethods(MahiClient.prototype, [
+    'userFromLogin',
+    'userFromUUID',
+    'setMembers'
+]);
+
+
 
 ///--- Exports
 
@@ -0,0 +1,343 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+//
+// A minimal metrics collector: counters and histograms with labels, rendered
+// in the Prometheus text exposition format.  The Moray and Mahi clients take a
+// collector as their `metrics` option and record the count, errors (by error
+// name) and latency of each of their operations in it.
+//
+
+var util = require('util');
+
+var assert = require('assert-plus');
+
+
+
+///--- Globals
+
+var sprintf = util.format;
+
+/* Default histogram buckets for latencies, in seconds. */
+var LATENCY_BUCKETS = [
+    0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10
+];
+
+var CONTENT_TYPE = 'text/plain; version=0.0.4';
+
+
+
+///--- Internals
+
+function escapeLabelValue(v) {
+    return (String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n'));
+}
+
+
+function renderLabels(labels) {
+    var names = Object.keys(labels).sort();
+
+    if (names.length === 0)
+        return ('');
+
+    return ('{' + names.map(function (n) {
+        return (sprintf('%s="%s"', n, escapeLabelValue(labels[n])));
+    }).join(',') + '}');
+}
+
+
+function mergeLabels(a, b) {
+    var labels = {};
+
+    Object.keys(a).forEach(function (k) {
+        labels[k] = a[k];
+    });
+    Object.keys(b).forEach(function (k) {
+        labels[k] = b[k];
+    });
+
+    return (labels);
+}
+
+
+/*
+ * Metrics keep one series per distinct set of labels, keyed by its rendered
+ * form.
+ */
+function series(metric, labels) {
+    assert.optionalObject(labels, 'labels');
+
+    labels = labels || {};
+    var key = renderLabels(labels);
+
+    if (!metric.series.hasOwnProperty(key))
+        metric.series[key] = metric.create(labels);
+
+    return (metric.series[key]);
+}
+
+
+function header(metric, type) {
+    return (sprintf('# HELP %s %s\n# TYPE %s %s\n', metric.name,
+        metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n'),
+        metric.name, type));
+}
+
+
+
+///--- API
+
+function Counter(opts) {
+    assert.object(opts, 'options');
+    assert.string(opts.name, 'options.name');
+    assert.string(opts.help, 'options.help');
+
+    this.name = opts.name;
+    this.help = opts.help;
+    this.series = {};
+}
+
+
+Counter.prototype.create = function create(labels) {
+    return ({
+        labels: labels,
+        value: 0
+    });
+};
+
+
+Counter.prototype.increment = function increment(labels, value) {
+    assert.optionalNumber(value, 'value');
+
+    series(this, labels).value += (value === undefined ? 1 : value);
+};
+
+
+Counter.prototype.render = function render() {
+    var self = this;
+
+    return (header(this, 'counter') + Object.keys(this.series).sort().map(
+        function (k) {
+        return (sprintf('%s%s %d\n', self.name, k, self.series[k].value));
+    }).join(''));
+};
+
+
+function Histogram(opts) {
+    assert.object(opts, 'options');
+    assert.string(opts.name, 'options.name');
+    assert.string(opts.help, 'options.help');
+    assert.optionalArrayOfNumber(opts.buckets, 'options.buckets');
+
+    this.name = opts.name;
+    this.help = opts.help;
+    this.buckets = (opts.buckets || LATENCY_BUCKETS).slice().sort(
+        function (a, b) {
+        return (a - b);
+    });
+    this.series = {};
+}
+
+
+Histogram.prototype.create = function create(labels) {
+    return ({
+        labels: labels,
+        counts: this.buckets.map(function () {
+            return (0);
+        }),
+        count: 0,
+        sum: 0
+    });
+};
+
+
+Histogram.prototype.observe = function observe(labels, value) {
+    assert.number(value, 'value');
+
+    var s = series(this, labels);
+
+    this.buckets.forEach(function (le, i) {
+        if (value <= le)
+            s.counts[i]++;
+    });
+    s.count++;
+    s.sum += value;
+};
+
+
+Histogram.prototype.render = function render() {
+    var self = this;
+
+    return (header(this, 'histogram') + Object.keys(this.series).sort().map(
+        function (k) {
+        var s = self.series[k];
+        var lines = self.buckets.map(function (le, i) {
+            return (sprintf('%s_bucket%s %d\n', self.name, renderLabels(
+                mergeLabels(s.labels, { le: String(le) })), s.counts[i]));
+        });
+
+        lines.push(sprintf('%s_bucket%s %d\n', self.name,
+            renderLabels(mergeLabels(s.labels, { le: '+Inf' })), s.count));
+        lines.push(sprintf('%s_sum%s %s\n', self.name, k, s.sum));
+        lines.push(sprintf('%s_count%s %d\n', self.name, k, s.count));
+
+        return (lines.join(''));
+    }).join(''));
+};
+
+
+/**
+ * Holds a set of metrics.  Services may register their own with counter() and
+ * histogram(), and expose everything with collect() or handler():
+ *
+ * var metrics = libmanta.createMetricsCollector();
+ * var moray = libmanta.createMorayClient({
+ *   log: log,
+ *   metrics: metrics,
+ *   ...
+ * });
+ *
+ * server.get('/metrics', metrics.handler());
+ */
+function MetricsCollector() {
+    this.metrics = {};
+}
+
+
+MetricsCollector.prototype.register = function register(Metric, opts) {
+    assert.object(opts, 'options');
+    assert.string(opts.name, 'options.name');
+
+    var metric = this.metrics[opts.name];
+
+    if (metric) {
+        assert.ok(metric instanceof Metric,
+            opts.name + ' is already registered as another type');
+        return (metric);
+    }
+
+    metric = this.metrics[opts.name] = new Metric(opts);
+    return (metric);
+};
+
+
+/*
+ * Returns the counter named `opts.name`, creating it (with `opts.help`) if
+ * needed.
+ */
+MetricsCollector.prototype.counter = function counter(opts) {
+    return (this.register(Counter, opts));
+};
+
+
+/*
+ * Returns the histogram named `opts.name`, creating it (with `opts.help` and
+ * `opts.buckets`, which default to latency buckets in seconds) if needed.
+ */
+MetricsCollector.prototype.histogram = function histogram(opts) {
+    return (this.register(Histogram, opts));
+};
+
+
+/*
+ * Returns a callback that records the outcome and latency of one `method`
+ * call of `component` ("moray", "mahi") before calling `cb`:
+ *
+ *     libmanta_<component>_requests_total{method}
+ *     libmanta_<component>_errors_total{method,error}
+ *     libmanta_<component>_request_duration_seconds{method}
+ */
+MetricsCollector.prototype.instrument = function instrument(component,
+    method, cb) {
+    assert.string(component, 'component');
+    assert.string(method, 'method');
+    assert.func(cb, 'callback');
+
+    var prefix = 'libmanta_' + component;
+    var requests = this.counter({
+        name: prefix + '_requests_total',
+        help: sprintf('%s requests completed, by method', component)
+    });
+    var errors = this.counter({
+        name: prefix + '_errors_total',
+        help: sprintf('%s requests failed, by method and error', component)
+    });
+    var latency = this.histogram({
+        name: prefix + '_request_duration_seconds',
+        help: sprintf('%s request latency in seconds, by method', component)
+    });
+    var start = process.hrtime();
+
+    return (function instrumented(err) {
+        var elapsed = process.hrtime(start);
+
+        requests.increment({ method: method });
+        if (err) {
+            errors.increment({
+                method: method,
+                error: err.name || 'Error'
+            });
+        }
+        latency.observe({ method: method }, elapsed[0] + elapsed[1] / 1e9);
+
+        cb.apply(this, arguments);
+    });
+};
+
+
+/*
+ * Renders every metric in the Prometheus text exposition format.
+ */
+MetricsCollector.prototype.collect = function collect() {
+    var self = this;
+
+    return (Object.keys(this.metrics).sort().map(function (name) {
+        return (self.metrics[name].render());
+    }).join(''));
+};
+
+
+/*
+ * Returns a restify (or plain node http) handler serving collect().
+ */
+MetricsCollector.prototype.handler = function handler() {
+    var self = this;
+
+    return (function serveMetrics(req, res, next) {
+        var body = self.collect();
+
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPE,
+            'Content-Length': Buffer.byteLength(body)
+        });
+        res.end(body);
+
+        if (next)
+            next();
+    });
+};
+
+
+MetricsCollector.prototype.toString = function toString() {
+    return (sprintf('[object MetricsCollector <metrics=%d>]',
+        Object.keys(this.metrics).length));
+};
+
+
+
+///--- Exports
+
+module.exports = {
+    createMetricsCollector: function createMetricsCollector() {
+        return (new MetricsCollector());
+    },
+    MetricsCollector: MetricsCollector
+};
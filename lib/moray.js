@@ -21,11 +21,14 @@ var util = require('util');
 
 var assert = require('assert-plus');
 var backoff = require('backoff');
+var LRU = require('lru-cache');
 var moray = require('moray');
 var once = require('once');
 var vasync = require('vasync');
 var VError = require('verror');
 
+var errors = require('./errors');
+var createQueue = require('./queue').createQueue;
 var utils = require('./utils');
 
 
@@ -41,11 +44,29 @@ var BUCKET = process.env.MANTA_RING_BUCKET || 'manta';
  * passed into createBucket below. If new columns are added to the manta
  * bucket, this reindex option should be removed or at least revisited.
  * Do not change BUCKET_VERSION without discussing a deployment strategy.
+ *
+ * Version 3 adds no columns, so existing rows need no reindexing.  It only
+ * replaces the recordDeleteLog post hook, which can now check for other
+ * references before fastdelete and write to the delete log buckets named by
+ * the client.  The first client with this version to start updates the bucket
+ * (older clients then leave it alone), and each Moray instance picks up the
+ * new hook once its cached copy of the bucket expires, without a restart.
+ * Until then, the old hook ignores the new headers and logs as it did before.
+ * The directory-count trigger is versioned on its own (see setupMantaTrigger)
+ * and is not replaced by this upgrade.
  */
-var BUCKET_VERSION = 2;
+var BUCKET_VERSION = 3;
 
+/* JSSTYLED */
+var VERSIONED_TRIGGER_RE = /SELECT\s+manta_update_versioned_trigger\(\s*'(\w+)'\s*,\s*'(\w+)'\s*,\s*(\d+)\s*,\s*'(\w+)'\s*\)/i;
 /* JSSTYLED */
 var ROOT_RE = /^\/[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}\/stor$/;
+/*
+ * Matches the action_statement of a versioned trigger.  PostgreSQL 11 and
+ * later report "EXECUTE FUNCTION" where earlier versions say "EXECUTE
+ * PROCEDURE".
+ */
+var TRIGGER_ACTION_RE = /EXECUTE (?:PROCEDURE|FUNCTION) (\w+)_v(\d+)\(\)$/;
 var SCHEMA = {
     dirname: {
         type: 'string'
@@ -102,73 +123,205 @@ var MANTA_UPLOADS_SCHEMA = {
 };
 var MANTA_UPLOADS_VERSION = 1;
 
+/*
+ * The versions bucket is only set up for clients created with `versions: true`
+ * (see versionRequest).  Pruning a version removes its record through the same
+ * post hook as the manta bucket, so its object then lands in the delete log.
+ */
+var VERSIONS_BUCKET = process.env.MANTA_VERSIONS_BUCKET || 'manta_versions';
+var VERSIONS_SCHEMA = {
+    key: {
+        type: 'string'
+    },
+    owner: {
+        type: 'string'
+    },
+    objectId: {
+        type: 'string'
+    },
+    mtime: {
+        type: 'number'
+    }
+};
+var VERSIONS_VERSION = 1;
+
+/*
+ * Like the versions bucket, the trash bucket is only set up for clients
+ * created with `trash: true` (see trashRequest), and expired trash is removed
+ * through the delete log post hook.
+ */
+var TRASH_BUCKET = process.env.MANTA_TRASH_BUCKET || 'manta_trash';
+var TRASH_SCHEMA = {
+    key: {
+        type: 'string'
+    },
+    owner: {
+        type: 'string'
+    },
+    objectId: {
+        type: 'string'
+    },
+    deletedAt: {
+        type: 'number'
+    },
+    expires: {
+        type: 'number'
+    }
+};
+var TRASH_VERSION = 1;
+
+/*
+ * The default name of each bucket, by its key in the `buckets` option of the
+ * Moray constructor.  Bucket names are also used as PostgreSQL table names in
+ * triggers and post hooks, so overrides must be plain identifiers.
+ */
+var BUCKETS = {
+    manta: BUCKET,
+    deleteLog: DELETE_LOG_BUCKET,
+    fastdeleteQueue: FASTDELETE_QUEUE_BUCKET,
+    directoryCounts: DIR_COUNT_BUCKET,
+    uploads: MANTA_UPLOADS_BUCKET,
+    versions: VERSIONS_BUCKET,
+    trash: TRASH_BUCKET
+};
+var BUCKET_NAME_RE = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/* Defaults for the getMetadata cache (see the Moray constructor). */
+var CACHE_MAX = 1000;
+var CACHE_MAX_AGE = 5000;
+
+/* Default time, in milliseconds, that deleted metadata stays in the trash. */
+var TRASH_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/*
+ * Default and maximum number of entries returned by a single listDirectory
+ * call.
+ */
+var LIST_LIMIT = 256;
+var LIST_MAX_LIMIT = 1024;
+
+/* Default number of concurrent deletes issued by deleteTree. */
+var DELETE_TREE_CONCURRENCY = 10;
+
+/* Default number of rows reindexed per reindexObjects call by reindexBucket. */
+var REINDEX_BATCH_SIZE = 100;
+
+/* Defaults for periodic health checks (see the Moray constructor). */
+var HEALTH_CHECK_INTERVAL = 10000;
+var HEALTH_CHECK_TIMEOUT = 2000;
+
+/* Defaults for the retry policy of metadata writes (see createRetryPolicy). */
+var RETRY_DEFAULTS = {
+    maxAttempts: 3,
+    initialDelay: 10,
+    maxDelay: 1000,
+    randomisationFactor: 0.5
+};
+
 
 ///--- Internal Functions
 
 /*
- * Create the Moray buckets used by Manta.
+ * Returns the definitions of the Moray buckets used by Manta, named by
+ * `options.buckets`.  The versions and trash buckets are only included if
+ * `options.versions` and `options.trash` are set.
  */
-function setupMantaBuckets(log, client, cb) {
-    return (vasync.forEachParallel({
-        func: createBucket,
-        inputs: [ {
-            client: client,
-            bucket: BUCKET,
+function mantaBucketDefinitions(options) {
+    var buckets = options.buckets;
+    var defs = [ {
+        bucket: buckets.manta,
+        opts: {
+            index: SCHEMA,
+            post: POST,
+            options: {
+                version: BUCKET_VERSION
+            }
+        },
+        reqopts: {
+            no_reindex: true // See comment above BUCKET_VERSION definition
+        }
+    }, {
+        bucket: buckets.uploads,
+        opts: {
+            index: MANTA_UPLOADS_SCHEMA,
+            options: {
+                version: MANTA_UPLOADS_VERSION
+            }
+        },
+        reqopts: {}
+    }, {
+        bucket: buckets.deleteLog,
+        opts: {
+            index: DELETE_LOG_SCHEMA,
+            options: {
+                version: DELETE_LOG_VERSION
+            }
+        },
+        reqopts: {}
+    }, {
+        bucket: buckets.fastdeleteQueue,
+        opts: {
+            options: {
+                version: FASTDELETE_QUEUE_VERSION
+            }
+        },
+        reqopts: {}
+    }, {
+        bucket: buckets.directoryCounts,
+        opts: {
+            index: DIR_COUNT_SCHEMA,
+            options: {
+                version: DIR_COUNT_VERSION
+            }
+        },
+        reqopts: {}
+    } ];
+
+    if (options.versions) {
+        defs.push({
+            bucket: buckets.versions,
             opts: {
-                index: SCHEMA,
+                index: VERSIONS_SCHEMA,
                 post: POST,
                 options: {
-                    version: BUCKET_VERSION
-                }
-            },
-            reqopts: {
-                no_reindex: true // See comment above BUCKET_VERSION definition
-            },
-            log: log
-        }, {
-            client: client,
-            bucket: MANTA_UPLOADS_BUCKET,
-            opts: {
-                index: MANTA_UPLOADS_SCHEMA,
-                options: {
-                    version: MANTA_UPLOADS_VERSION
-                }
-            },
-            reqopts: {},
-            log: log
-        }, {
-            client: client,
-            bucket: DELETE_LOG_BUCKET,
-            opts: {
-                index: DELETE_LOG_SCHEMA,
-                options: {
-                    version: DELETE_LOG_VERSION
-                }
-            },
-            reqopts: {},
-            log: log
-        }, {
-            client: client,
-            bucket: FASTDELETE_QUEUE_BUCKET,
-            opts: {
-                options: {
-                    version: FASTDELETE_QUEUE_VERSION
+                    version: VERSIONS_VERSION
                 }
             },
-            reqopts: {},
-            log: log
-        }, {
-            client: client,
-            bucket: DIR_COUNT_BUCKET,
+            reqopts: {}
+        });
+    }
+
+    if (options.trash) {
+        defs.push({
+            bucket: buckets.trash,
             opts: {
-                index: DIR_COUNT_SCHEMA,
+                index: TRASH_SCHEMA,
+                post: POST,
                 options: {
-                    version: DIR_COUNT_VERSION
+                    version: TRASH_VERSION
                 }
             },
-            reqopts: {},
-            log: log
-        } ]
+            reqopts: {}
+        });
+    }
+
+    return (defs);
+}
+
+
+/*
+ * Create the Moray buckets used by Manta (see mantaBucketDefinitions).
+ */
+function setupMantaBuckets(log, client, options, cb) {
+    var inputs = mantaBucketDefinitions(options).map(function (def) {
+        def.client = client;
+        def.log = log;
+        return (def);
+    });
+
+    return (vasync.forEachParallel({
+        func: createBucket,
+        inputs: inputs
     }, function onPipelineDone(err) {
         /*
          * It's possible for these operations to fail if they overlap with
@@ -223,52 +376,125 @@ function setupMantaBuckets(log, client, cb) {
     }));
 }
 
+/*
+ * trigger_dircount.plpgsql is written for the default bucket names.  For
+ * others, the trigger is installed on `buckets.manta` and counts into
+ * `buckets.directoryCounts`, through a procedure named after the manta bucket
+ * so that differently-named sets of buckets in one database don't share it.
+ */
+function dircountSql(sql, buckets) {
+    return (sql.split('manta_directory_counts').join(buckets.directoryCounts)
+        .split('count_manta_directories')
+        .join('count_' + buckets.manta + '_directories')
+        .split('\'manta\', \'count_directories\'')
+        .join('\'' + buckets.manta + '\', \'count_directories\''));
+}
+
+
+function readDircountSql(log, buckets, cb) {
+    var filepath = path.join(__dirname, 'trigger_dircount.plpgsql');
+
+    log.trace('readDircountSql: read "%s"', filepath);
+    fs.readFile(filepath, { 'encoding': 'utf8' }, function (err, c) {
+        if (err) {
+            cb(err);
+        } else {
+            cb(null, dircountSql(c, buckets));
+        }
+    });
+}
+
+
+/*
+ * Returns the SQL that defines version `options.version` of the trigger
+ * procedure `options.procname` (with `options.functionSql`) and installs the
+ * trigger with manta_update_versioned_trigger(), in the same form as
+ * trigger_dircount.plpgsql: the function is created under an advisory lock
+ * keyed on its name, and the trigger is installed in a separate transaction.
+ */
+function versionedTriggerSql(options) {
+    var fname = options.procname + '_v' + options.version;
+
+    return ([
+        'BEGIN;',
+        'WITH digest1 AS (',
+        '    SELECT md5(\'libmanta\') AS val',
+        '), digest2 AS (',
+        '    SELECT md5(\'' + fname + '\') AS val',
+        '), lockkey1 AS (',
+        '    SELECT (\'x\'||(SELECT val FROM digest1))::bit(32)::integer ' +
+            'AS val',
+        '), lockkey2 AS (',
+        '    SELECT (\'x\'||(SELECT val FROM digest2))::bit(32)::integer ' +
+            'AS val',
+        ')',
+        'SELECT pg_advisory_xact_lock(',
+        '    (SELECT val FROM lockkey1),',
+        '    (SELECT val FROM lockkey2)',
+        ');',
+        options.functionSql.trim(),
+        'COMMIT;',
+        '',
+        'BEGIN;',
+        sprintf('SELECT manta_update_versioned_trigger(\'%s\', \'%s\', %d, ' +
+            '\'%s\');', options.table, options.trigger, options.version,
+            options.procname),
+        'COMMIT;'
+    ].join('\n'));
+}
+
+
+/*
+ * Runs `sql`, which installs triggers with manta_update_versioned_trigger(),
+ * after (re)defining that function from trigger_update.plpgsql.  Calls back
+ * with what manta_update_versioned_trigger() returned for each trigger.
+ */
+function updateVersionedTriggers(log, client, sql, opts, cb) {
+    var filepath = path.join(__dirname, 'trigger_update.plpgsql');
+
+    log.trace('updateVersionedTriggers: read "%s"', filepath);
+    fs.readFile(filepath, { 'encoding': 'utf8' }, function (err, updatesql) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        var req;
+        var results = [];
+
+        sql = updatesql + '\n' + sql;
+        log.info({ 'sql': sql }, 'updateVersionedTriggers: apply update');
+        cb = once(cb);
+        req = client.sql(sql, {
+            readOnlyOverride: true,
+            req_id: opts.req_id
+        });
+        req.on('record', function (row) {
+            log.info(row, 'updateVersionedTriggers: row');
+            if (row.manta_update_versioned_trigger !== undefined)
+                results.push(row.manta_update_versioned_trigger);
+        });
+        req.once('error', cb);
+        req.once('end', function () {
+            cb(null, results);
+        });
+    });
+}
+
+
 /*
  * We use a PostgreSQL trigger to maintain a separate table of sizes for each
  * directory.  We install that trigger immediately after creating the Manta
  * buckets in Moray.  This step is idempotent.
  */
-function setupMantaTrigger(log, client, cb) {
-    var readoptions, updatesql, funcsql;
-
-    readoptions = { 'encoding': 'utf8' };
-
+function setupMantaTrigger(log, client, buckets, cb) {
     return (vasync.waterfall([
-        function readUpdateFunction(callback) {
-            var filepath = path.join(__dirname, 'trigger_update.plpgsql');
-            log.trace('setupMantaTrigger: read "%s"', filepath);
-            fs.readFile(filepath, readoptions, function (err, c) {
-                if (!err)
-                    updatesql = c;
-                callback(err);
-            });
-        },
-
         function readTriggerFunction(callback) {
-            var filepath = path.join(__dirname, 'trigger_dircount.plpgsql');
-            log.trace('setupMantaTrigger: read "%s"', filepath);
-            fs.readFile(filepath, readoptions, function (err, c) {
-                if (!err)
-                    funcsql = c;
-                callback(err);
-            });
+            readDircountSql(log, buckets, callback);
         },
 
-        function updateTrigger(callback) {
-            var sql, req;
-            var opts = {
-                readOnlyOverride: true
-            };
-
-            sql = updatesql + '\n' + funcsql;
-            log.info({ 'sql': sql }, 'setupMantaTrigger: apply update');
-            callback = once(callback);
-            req = client.sql(sql, opts);
-            req.on('record', function (row) {
-                log.info(row, 'setupMantaTrigger: row');
-            });
-            req.once('error', callback);
-            req.once('end', callback);
+        function updateTrigger(funcsql, callback) {
+            updateVersionedTriggers(log, client, funcsql, {}, callback);
         }
     ], function (err) {
         if (err) {
@@ -280,6 +506,125 @@ function setupMantaTrigger(log, client, cb) {
 }
 
 
+/*
+ * Works out what setupMantaBuckets would do to each of the bucket definitions
+ * `defs`, by the same rules as Moray's putBucket: a bucket is created if it
+ * does not exist, and updated if its version is older than ours (or it has
+ * none).  setupMantaBuckets skips (and logs) buckets with a newer version.
+ */
+function planBuckets(client, defs, opts, cb) {
+    vasync.forEachParallel({
+        inputs: defs,
+        func: function planBucket(def, next) {
+            var plan = {
+                bucket: def.bucket,
+                action: 'none',
+                version: null,
+                targetVersion: def.opts.options.version,
+                addIndexes: Object.keys(def.opts.index || {})
+            };
+
+            client.getBucket(def.bucket, opts, function (err, bucket) {
+                if (err && VError.hasCauseWithName(err,
+                    'BucketNotFoundError')) {
+                    plan.action = 'create';
+                    next(null, plan);
+                    return;
+                } else if (err) {
+                    next(err);
+                    return;
+                }
+
+                plan.version = (bucket.options || {}).version || 0;
+                plan.addIndexes = plan.addIndexes.filter(function (k) {
+                    return (!(bucket.index || {}).hasOwnProperty(k));
+                });
+
+                if (plan.version > plan.targetVersion) {
+                    plan.action = 'skip';
+                } else if (plan.version === 0 ||
+                    plan.version < plan.targetVersion) {
+                    plan.action = 'upgrade';
+                }
+                if (plan.action !== 'upgrade')
+                    plan.addIndexes = [];
+
+                next(null, plan);
+            });
+        }
+    }, function (err, results) {
+        if (err) {
+            cb(err);
+        } else {
+            cb(null, results.successes);
+        }
+    });
+}
+
+
+/*
+ * Works out what the manta_update_versioned_trigger() call in `sql` would do,
+ * making the same decision as that function (see trigger_update.plpgsql): if a
+ * trigger of that name on the table already executes a version of the
+ * procedure at least as new as ours, nothing changes; otherwise any existing
+ * trigger is replaced.
+ */
+function planTrigger(client, sql, opts, cb) {
+    var m = VERSIONED_TRIGGER_RE.exec(sql);
+    var plan, req;
+
+    assert.ok(m, 'no manta_update_versioned_trigger() call in trigger SQL');
+
+    plan = {
+        table: m[1],
+        trigger: m[2],
+        procname: m[4],
+        action: 'install',
+        version: null,
+        targetVersion: parseInt(m[3], 10)
+    };
+
+    cb = once(cb);
+    req = client.sql('SELECT trigger_name, action_statement ' +
+        'FROM information_schema.triggers ' +
+        'WHERE event_object_table = $1 AND trigger_name = $2',
+        [ plan.table, plan.trigger ], opts);
+    req.on('record', function (row) {
+        var m = TRIGGER_ACTION_RE.exec(row.action_statement);
+
+        if (plan.action === 'install')
+            plan.action = 'replace';
+        if (m && m[1] === plan.procname)
+            plan.version = Math.max(plan.version || 0, parseInt(m[2], 10));
+    });
+    req.once('error', cb);
+    req.once('end', function () {
+        if (plan.version !== null && plan.version >= plan.targetVersion)
+            plan.action = 'none';
+        cb(null, plan);
+    });
+}
+
+
+/*
+ * Runs a query through Moray's sql and calls back with all of its rows.
+ */
+function selectRows(client, sql, values, opts, cb) {
+    var req;
+    var rows = [];
+
+    cb = once(cb);
+    req = client.sql(sql, values, opts);
+    req.on('record', function (row) {
+        rows.push(row);
+    });
+    req.once('error', cb);
+    req.once('end', function () {
+        cb(null, rows);
+    });
+}
+
+
 function clone(obj) {
     if (!obj)
         return (obj);
@@ -292,6 +637,88 @@ function clone(obj) {
 }
 
 
+/*
+ * Escapes a value for use in an LDAP search filter (RFC 4515).
+ */
+function escapeFilterValue(str) {
+    return (String(str).replace(/[\\*()\0]/g, function (c) {
+        var hex = c.charCodeAt(0).toString(16);
+        return ('\\' + (hex.length < 2 ? '0' + hex : hex));
+    }));
+}
+
+
+/*
+ * Splits a marker of the form "<_mtime>/<rest>" into its parts, or returns
+ * null if it isn't one.
+ */
+function parseMtimeMarker(marker) {
+    var idx = marker.indexOf('/');
+    var mtime = marker.substr(0, idx);
+
+    if (idx <= 0 || idx === marker.length - 1 || !/^\d+$/.test(mtime))
+        return (null);
+
+    return ({
+        mtime: parseInt(mtime, 10),
+        rest: marker.substr(idx + 1)
+    });
+}
+
+
+/*
+ * Builds the clause of a listDirectory filter that selects the entries after
+ * `marker` for the given sort.  Markers for name-sorted listings are the name
+ * of the last entry returned (which can never contain "/"); markers for
+ * mtime-sorted listings are "<_mtime>/<name>".  Markers come from API
+ * clients, so this returns null for one that doesn't fit the sort.
+ */
+function markerFilter(marker, attribute, order) {
+    var after = (order === 'DESC') ? '<=' : '>=';
+    var parsed, name;
+
+    if (attribute === 'name') {
+        if (marker.indexOf('/') !== -1)
+            return (null);
+
+        return (sprintf('(&(name%s%s)(!(name=%s)))', after,
+            escapeFilterValue(marker), escapeFilterValue(marker)));
+    }
+
+    if ((parsed = parseMtimeMarker(marker)) === null)
+        return (null);
+
+    name = escapeFilterValue(parsed.rest);
+    return (sprintf('(|(&(_mtime%s%d)(!(_mtime=%d)))' +
+        '(&(_mtime=%d)(name%s%s)(!(name=%s))))',
+        after, parsed.mtime, parsed.mtime, parsed.mtime, after, name, name));
+}
+
+
+/*
+ * Converts a metadata record from the manta bucket into a directory listing
+ * entry.
+ */
+function normalizeEntry(obj) {
+    var md = obj.value;
+    var entry = {
+        name: md.name,
+        key: md.key,
+        type: md.type,
+        mtime: new Date(md.mtime).toISOString()
+    };
+
+    if (md.type === 'object') {
+        entry.etag = md.etag;
+        entry.size = md.contentLength;
+        entry.contentType = md.contentType;
+        entry.durability = (md.sharks || []).length;
+    }
+
+    return (entry);
+}
+
+
 function recordDeleteLog(req, cb) {
     var microtime = require('microtime');
     var crc = require('crc');
@@ -323,66 +750,260 @@ function recordDeleteLog(req, cb) {
     // now log to the manta_delete_log table or the manta_fastdelete_queue...
     var now = Math.round((microtime.now() / 1000));
     var _key = '/' + prevObjectId + '/' + now;
-    var _value = JSON.stringify(prevmd);
-    var _etag = crc.hex32(crc.crc32(_value));
     var _mtime = now;
-    var sql = '';
-    var values = [];
+
+    // ... in the buckets named by the client, if it uses its own
+    var identifier = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+    var deleteLog = req.headers['x-muskie-delete-log-bucket'] ||
+        'manta_delete_log';
+    var fastdeleteQueue = req.headers['x-muskie-fastdelete-queue-bucket'] ||
+        'manta_fastdelete_queue';
+    if (!identifier.test(deleteLog) || !identifier.test(fastdeleteQueue)) {
+        cb(new Error('invalid delete log bucket name'));
+        return;
+    }
+
+    function insert(fastdelete, md) {
+        var _value = JSON.stringify(md);
+        var _etag = crc.hex32(crc.crc32(_value));
+        var sql = '';
+        var values = [];
+
+        if (fastdelete) {
+            log.debug('object ' + prevObjectId + ' being added to fastdelete.');
+            sql = 'INSERT INTO ' + fastdeleteQueue + ' (_key, _value, ' +
+                '_etag, _mtime) VALUES ($1, $2, $3, $4)';
+            values = [prevObjectId, _value, _etag, _mtime];
+        } else {
+            sql = 'INSERT INTO ' + deleteLog + ' (_key, _value, _etag, ' +
+                '_mtime, objectId) VALUES ($1, $2, $3, $4, $5)';
+            values = [_key, _value, _etag, _mtime, prevObjectId];
+        }
+
+        // execute
+        var q = req.pg.query(sql, values);
+        q.once('error', function (err) {
+            log.debug(err, 'manta delete log insert: failed');
+            cb(err);
+        });
+        q.once('end', function () {
+            log.debug('manta delete log insert: done');
+            cb();
+        });
+    }
 
     // If snaplinks are disabled use the fastdelete_queue rather than delete_log
-    if (req.headers['x-muskie-snaplinks-disabled']) {
-        log.debug('object ' + prevObjectId + ' being added to fastdelete.');
-        sql = 'INSERT INTO manta_fastdelete_queue (_key, _value, _etag, ' +
-            '_mtime) VALUES ($1, $2, $3, $4)';
-        values = [prevObjectId, _value, _etag, _mtime];
-    } else {
-        sql = 'INSERT INTO manta_delete_log (_key, _value, _etag, ' +
-            '_mtime, objectId) VALUES ($1, $2, $3, $4, $5)';
-        values = [_key, _value, _etag, _mtime, prevObjectId];
+    if (!req.headers['x-muskie-snaplinks-disabled']) {
+        insert(false, prevmd);
+        return;
+    }
+
+    if (!req.headers['x-muskie-check-last-reference']) {
+        insert(true, prevmd);
+        return;
     }
 
-    // execute
-    var q = req.pg.query(sql, values);
-    q.once('error', function (err) {
-        log.debug(err, 'manta delete log insert: failed');
+    // ... unless some other key on this shard still references the object.
+    // Snaplinks in other directories usually live on other shards, where this
+    // can't see them, so this is not a guarantee that the object is unused.
+    var found = null;
+    var check = req.pg.query('SELECT _key FROM ' + req.bucket +
+        ' WHERE objectId = $1 AND _key != $2 LIMIT 1',
+        [prevObjectId, req.key]);
+    check.on('row', function (row) {
+        found = row._key;
+    });
+    check.once('error', function (err) {
+        log.debug(err, 'manta last reference check: failed');
         cb(err);
     });
-    q.once('end', function () {
-        log.debug('manta delete log insert: done');
-        cb();
+    check.once('end', function () {
+        if (found === null) {
+            insert(true, prevmd);
+            return;
+        }
+
+        log.debug('object ' + prevObjectId + ' is still referenced by ' +
+            found + ', not using fastdelete.');
+        var md = JSON.parse(JSON.stringify(prevmd));
+        md.deleteLogReason = {
+            reason: 'object is still referenced',
+            referencedBy: found
+        };
+        insert(false, md);
     });
 }
 
 
-function createMetadata(options) {
-    assert.string(options.owner, 'options.owner');
-    assert.string(options.type, 'options.type');
-    assert.optionalObject(options.headers, 'options.headers');
+/*
+ * Returns the request headers that recordDeleteLog reads: the metadata being
+ * replaced or removed and, if snaplinks are disabled for the account, a flag
+ * that sends its object straight to the fastdelete queue.  In that case,
+ * `options.checkLastReference` (or, if that's not given, the client-wide
+ * `checkLastReference`) makes recordDeleteLog first check that no other key
+ * on the same shard references the object.
+ */
+function deleteLogHeaders(options, checkLastReference, buckets) {
+    var headers = logBucketHeaders(buckets, {
+        'x-muskie-prev-metadata': options.previousMetadata
+    });
 
-    var key = options.key;
-    var md = {
-        dirname: ROOT_RE.test(key) ? key : path.dirname(key),
-        key: key,
-        headers: (options.type !== 'link' ?
-                  clone(options.headers || {}) : undefined),
-        mtime: Date.now(),
-        name: path.basename(key),
-        creator: options.creator || options.owner,
-        owner: options.owner,
-        roles: options.roles,
-        type: options.type
-    };
+    if (options.checkLastReference !== undefined)
+        checkLastReference = options.checkLastReference;
 
-    switch (options.type) {
-    case 'object':
-        assert.number(options.contentLength, 'options.contentLength');
-        assert.string(options.contentMD5, 'options.contentMD5');
-        assert.string(options.contentType, 'options.contentType');
-        assert.string(options.objectId, 'options.objectId');
-        assert.arrayOfObject(options.sharks, 'options.sharks');
+    if (options.snapLinksDisabled) {
+        headers['x-muskie-snaplinks-disabled'] = true;
+        if (checkLastReference)
+            headers['x-muskie-check-last-reference'] = true;
+    }
 
-        if (!process.env.NODE_NDEBUG) {
-            options.sharks.forEach(function validateShark(s) {
+    return (headers);
+}
+
+
+/*
+ * Returns the request headers for a put that may overwrite
+ * `options.previousMetadata`.  Unlike deletes, overwrites are always recorded
+ * in the delete log, whether or not snaplinks are disabled.
+ */
+function putLogHeaders(options, buckets) {
+    return (logBucketHeaders(buckets, {
+        'x-muskie-prev-metadata': options.previousMetadata
+    }));
+}
+
+
+/*
+ * Adds to `headers` the names of the delete log and fastdelete queue buckets
+ * that recordDeleteLog should write to.
+ */
+function logBucketHeaders(buckets, headers) {
+    headers['x-muskie-delete-log-bucket'] = buckets.deleteLog;
+    headers['x-muskie-fastdelete-queue-bucket'] = buckets.fastdeleteQueue;
+
+    return (headers);
+}
+
+
+/*
+ * Superseded object metadata is kept in the versions bucket under the key of
+ * the object, followed by "@" and a version id made of the record's mtime and
+ * objectId.  Since version ids never contain a "/", a version has the same
+ * dirname as its key, and so lives on the same shard.
+ */
+function versionId(md) {
+    return (sprintf('%d-%s', md.mtime, md.objectId));
+}
+
+
+/*
+ * Returns whether writing `md` over `prev` supersedes an object that should be
+ * kept as a version.  Updates that keep the objectId (such as PUTs of headers
+ * and chattr) don't: the object is still referenced by `md`.
+ */
+function supersedesObject(prev, md) {
+    return (Boolean(prev && prev.objectId &&
+        (!md || prev.objectId !== md.objectId)));
+}
+
+
+/*
+ * Returns the batch request that keeps `md`, superseded metadata for `key`, in
+ * the versions bucket.
+ */
+function versionRequest(buckets, key, md) {
+    var value = clone(md);
+    value.versionId = versionId(md);
+
+    return ({
+        bucket: buckets.versions,
+        key: key + '@' + value.versionId,
+        operation: 'put',
+        value: value
+    });
+}
+
+
+/*
+ * Returns the batch request that moves `md`, the metadata deleted from `key`,
+ * into the trash until `ttl` milliseconds from now.  Trash records are keyed
+ * like versions (see versionId), by the key, the time of the delete and the
+ * objectId.  The put only creates: if the key is somehow taken, the delete
+ * fails rather than overwriting (and so losing track of) what's there.  Retries
+ * reuse the same key, so delMetadata can tell when an earlier attempt went
+ * through.
+ */
+function trashRequest(buckets, key, md, ttl) {
+    var value = clone(md);
+    value.deletedAt = Date.now();
+    value.expires = value.deletedAt + ttl;
+    value.trashId = (md.objectId ?
+        sprintf('%d-%s', value.deletedAt, md.objectId) :
+        String(value.deletedAt));
+
+    return ({
+        bucket: buckets.trash,
+        key: key + '@' + value.trashId,
+        operation: 'put',
+        value: value,
+        options: {
+            etag: null
+        }
+    });
+}
+
+
+/*
+ * Returns the metadata kept in a trash record.
+ */
+function untrash(value) {
+    var md = clone(value);
+    delete md.deletedAt;
+    delete md.expires;
+    delete md.trashId;
+
+    return (md);
+}
+
+/*
+ * Returns the directory name that metadata for `key` is stored (and, through
+ * electric-moray, sharded) under.  Top-level directories ("/<owner>/stor")
+ * are their own dirname.
+ */
+function keyDirname(key) {
+    return (ROOT_RE.test(key) ? key : path.dirname(key));
+}
+
+
+function createMetadata(options) {
+    assert.string(options.owner, 'options.owner');
+    assert.string(options.type, 'options.type');
+    assert.optionalObject(options.headers, 'options.headers');
+
+    var key = options.key;
+    var md = {
+        dirname: keyDirname(key),
+        key: key,
+        headers: (options.type !== 'link' ?
+                  clone(options.headers || {}) : undefined),
+        mtime: Date.now(),
+        name: path.basename(key),
+        creator: options.creator || options.owner,
+        owner: options.owner,
+        roles: options.roles,
+        type: options.type
+    };
+
+    switch (options.type) {
+    case 'object':
+        assert.number(options.contentLength, 'options.contentLength');
+        assert.string(options.contentMD5, 'options.contentMD5');
+        assert.string(options.contentType, 'options.contentType');
+        assert.string(options.objectId, 'options.objectId');
+        assert.arrayOfObject(options.sharks, 'options.sharks');
+
+        if (!process.env.NODE_NDEBUG) {
+            options.sharks.forEach(function validateShark(s) {
                 assert.string(s.manta_storage_id,
                               'shark.manta_storage_id');
             });
@@ -512,11 +1133,321 @@ function createBucket(opts, cb) {
 }
 
 
+/*
+ * Compares `bucket`, as returned by getBucket (or null if it does not exist),
+ * with `def`, its definition from mantaBucketDefinitions.
+ */
+function bucketDrift(def, bucket) {
+    var expected = def.opts.index || {};
+    var expectedPost = (def.opts.post || []).map(String);
+    var index, post;
+    var res = {
+        bucket: def.bucket,
+        exists: bucket !== null,
+        version: null,
+        expectedVersion: def.opts.options.version,
+        versionDrift: null,
+        missingIndexes: Object.keys(expected),
+        extraIndexes: [],
+        changedIndexes: [],
+        postHooksMatch: expectedPost.length === 0,
+        drift: true
+    };
+
+    if (bucket === null)
+        return (res);
+
+    index = bucket.index || {};
+    post = (bucket.post || []).map(String);
+
+    res.version = (bucket.options || {}).version || 0;
+    if (res.version < res.expectedVersion) {
+        res.versionDrift = 'older';
+    } else if (res.version > res.expectedVersion) {
+        res.versionDrift = 'newer';
+    }
+
+    res.missingIndexes = Object.keys(expected).filter(function (k) {
+        return (!index.hasOwnProperty(k));
+    });
+    res.extraIndexes = Object.keys(index).filter(function (k) {
+        return (!expected.hasOwnProperty(k));
+    });
+    res.changedIndexes = Object.keys(expected).filter(function (k) {
+        return (index.hasOwnProperty(k) &&
+            (index[k].type !== expected[k].type ||
+            !index[k].unique !== !expected[k].unique));
+    });
+    res.postHooksMatch = post.length === expectedPost.length &&
+        post.every(function (p, i) {
+        return (p === expectedPost[i]);
+    });
+
+    res.drift = res.versionDrift !== null ||
+        res.missingIndexes.length > 0 ||
+        res.extraIndexes.length > 0 ||
+        res.changedIndexes.length > 0 ||
+        !res.postHooksMatch;
+
+    return (res);
+}
+
+
+/*
+ * putMetadata and delMetadata accept conditions with the semantics of the
+ * corresponding HTTP request headers (RFC 7232), evaluated against the stored
+ * metadata:
+ *
+ *     ifMatch              the metadata's etag must equal this value or, if
+ *                          this is '*', the key must exist
+ *
+ *     ifNoneMatch          must be '*': the key must not exist
+ *
+ *     ifUnmodifiedSince    (Date or milliseconds since the epoch) the metadata
+ *                          must not have been modified after this time, at the
+ *                          one-second resolution of HTTP dates.  This is
+ *                          ignored if the key does not exist.
+ *
+ * A condition that does not hold is reported as a PreconditionFailedError
+ * (more specifically, an IfMatchFailedError, IfNoneMatchFailedError or
+ * IfUnmodifiedSinceFailedError).
+ */
+function hasPreconditions(options) {
+    return (options.ifMatch !== undefined ||
+        options.ifNoneMatch !== undefined ||
+        options.ifUnmodifiedSince !== undefined);
+}
+
+
+function assertPreconditions(options) {
+    assert.optionalString(options.ifMatch, 'options.ifMatch');
+    assert.ok(options.ifNoneMatch === undefined ||
+        options.ifNoneMatch === '*', 'options.ifNoneMatch must be "*"');
+    assert.ok(options.ifUnmodifiedSince === undefined ||
+        options.ifUnmodifiedSince instanceof Date ||
+        typeof (options.ifUnmodifiedSince) === 'number',
+        'options.ifUnmodifiedSince must be a Date or a number');
+    assert.ok(!hasPreconditions(options) || options._etag === undefined,
+        'options._etag cannot be combined with conditional options');
+}
+
+
+/*
+ * Returns the error for the first condition in `options` that does not hold
+ * for `md`, the current metadata for `key` (null if there is none), or null if
+ * they all hold.
+ */
+function checkPreconditions(key, options, md) {
+    var since;
+
+    if (options.ifNoneMatch !== undefined && md)
+        return (new errors.IfNoneMatchFailedError(key));
+
+    if (options.ifMatch !== undefined &&
+        (!md || (options.ifMatch !== '*' && options.ifMatch !== md.etag)))
+        return (new errors.IfMatchFailedError(key, options.ifMatch));
+
+    if (options.ifUnmodifiedSince !== undefined && md) {
+        since = new Date(options.ifUnmodifiedSince).getTime();
+        if (Math.floor(md.mtime / 1000) > Math.floor(since / 1000))
+            return (new errors.IfUnmodifiedSinceFailedError(key, since));
+    }
+
+    return (null);
+}
+
+
+/*
+ * Evaluates the conditions in `options.conditions` against the current
+ * metadata for `options.key` and, if they hold, calls `write(etag, cb)`, where
+ * `etag` is the Moray etag of the record that was checked (null if there was
+ * none).  Writing with that etag makes the check and the write atomic: if the
+ * record changes in between, Moray fails the write with an EtagConflictError
+ * and we evaluate the conditions again against the new record.
+ */
+function conditional(options, write, cb) {
+    assert.object(options, 'options');
+    assert.object(options.policy, 'options.policy');
+    assert.object(options.client, 'options.client');
+    assert.object(options.log, 'options.log');
+    assert.string(options.op, 'options.op');
+    assert.string(options.bucket, 'options.bucket');
+    assert.string(options.key, 'options.key');
+    assert.object(options.conditions, 'options.conditions');
+    assert.string(options.requestId, 'options.requestId');
+    assert.func(write, 'write');
+    assert.func(cb, 'callback');
+
+    var client = options.client;
+    var key = options.key;
+    var log = options.log;
+    var opts = {
+        req_id: options.requestId,
+        noCache: true
+    };
+
+    withRetry({
+        policy: options.policy,
+        log: log,
+        op: options.op,
+        key: key,
+        requestId: options.requestId,
+        /* The record changed after we checked it, so check it again. */
+        retryable: function (err) {
+            return (err.name === 'EtagConflictError');
+        }
+    }, function attempt(_cb) {
+        client.getObject(options.bucket, key, opts, function (err, obj) {
+            var md = null;
+            var etag = null;
+
+            if (err && err.name !== 'ObjectNotFoundError') {
+                _cb(err);
+                return;
+            } else if (!err) {
+                md = obj.value;
+                etag = obj._etag;
+            }
+
+            var perr = checkPreconditions(key, options.conditions, md);
+            if (perr) {
+                log.debug({
+                    err: perr,
+                    key: key,
+                    requestId: options.requestId
+                }, 'Moray.' + options.op + ': precondition failed');
+                _cb(perr);
+                return;
+            }
+
+            write(etag, _cb);
+        });
+    }, cb);
+}
+
+
+/*
+ * Metadata writes (putMetadata, putFinalizingMetadata, delMetadata, commitMPU
+ * and batchMetadata) are retried according to a retry policy, configured with
+ * the `retryPolicy` option to createMorayClient.  All of its fields are
+ * optional:
+ *
+ *     maxAttempts          total number of attempts, including the first
+ *
+ *     initialDelay         delay before the first retry, in milliseconds
+ *
+ *     maxDelay             upper bound for the delay between attempts, in
+ *                          milliseconds
+ *
+ *     randomisationFactor  jitter: each delay is multiplied by a random factor
+ *                          between 1 and 1 + randomisationFactor
+ *
+ *     retryable            function (err, info) returning whether `err` should
+ *                          be retried.  `info` has the name of the operation
+ *                          (`op`), the number of attempts made so far
+ *                          (`attempt`) and whether the write carried a Moray
+ *                          etag (`conditional`).
+ *
+ * By default, we retry EtagConflictError and UniqueAttributeError for writes
+ * that don't carry an etag, since those can only be caused by concurrent
+ * writers.
+ */
+function createRetryPolicy(opts) {
+    assert.object(opts, 'options');
+    assert.optionalNumber(opts.maxAttempts, 'options.maxAttempts');
+    assert.optionalNumber(opts.initialDelay, 'options.initialDelay');
+    assert.optionalNumber(opts.maxDelay, 'options.maxDelay');
+    assert.optionalNumber(opts.randomisationFactor,
+        'options.randomisationFactor');
+    assert.optionalFunc(opts.retryable, 'options.retryable');
+
+    var policy = {
+        retryable: opts.retryable || isRetryableWriteError
+    };
+
+    Object.keys(RETRY_DEFAULTS).forEach(function (k) {
+        policy[k] = (opts[k] !== undefined) ? opts[k] : RETRY_DEFAULTS[k];
+    });
+
+    assert.ok(policy.maxAttempts >= 1, 'maxAttempts must be at least 1');
+    assert.ok(policy.initialDelay >= 1, 'initialDelay must be at least 1');
+    assert.ok(policy.maxDelay > policy.initialDelay,
+        'maxDelay must be greater than initialDelay');
+    assert.ok(policy.randomisationFactor >= 0 &&
+        policy.randomisationFactor <= 1,
+        'randomisationFactor must be between 0 and 1');
+
+    return (policy);
+}
+
+
+function isRetryableWriteError(err, info) {
+    return ((err.name === 'EtagConflictError' ||
+        err.name === 'UniqueAttributeError') && !info.conditional);
+}
+
+
+/*
+ * Calls `func(cb)` until it succeeds, fails with an error that is not
+ * retryable, or the retry policy runs out of attempts, waiting between
+ * attempts as the policy dictates.  The outcome of the last attempt is passed
+ * to `cb`.  `options.retryable` may be used to override the policy's
+ * predicate.
+ */
+function withRetry(options, func, cb) {
+    assert.object(options, 'options');
+    assert.object(options.policy, 'options.policy');
+    assert.object(options.log, 'options.log');
+    assert.string(options.op, 'options.op');
+    assert.optionalString(options.key, 'options.key');
+    assert.optionalString(options.requestId, 'options.requestId');
+    assert.optionalBool(options.conditional, 'options.conditional');
+    assert.optionalFunc(options.retryable, 'options.retryable');
+    assert.func(func, 'func');
+    assert.func(cb, 'callback');
+
+    var attempt = 0;
+    var log = options.log;
+    var policy = options.policy;
+    var retryable = options.retryable || policy.retryable;
+    var strategy = new backoff.ExponentialStrategy({
+        initialDelay: policy.initialDelay,
+        maxDelay: policy.maxDelay,
+        randomisationFactor: policy.randomisationFactor
+    });
+
+    (function tryOnce() {
+        func(function (err) {
+            var info = {
+                op: options.op,
+                attempt: ++attempt,
+                conditional: options.conditional || false
+            };
+
+            if (!err || attempt >= policy.maxAttempts ||
+                !retryable(err, info)) {
+                cb.apply(null, arguments);
+                return;
+            }
+
+            var delay = strategy.next();
+            log[utils.getLogLevel(attempt - 1)]({
+                err: err,
+                attempt: attempt,
+                delay: delay,
+                key: options.key,
+                requestId: options.requestId
+            }, 'Moray.%s: retrying', options.op);
+            setTimeout(tryOnce, delay);
+        });
+    })();
+}
+
+
 // Helper that calls Moray's `putObject`.
 function put(options, cb) {
     assert.object(options, 'options');
-    assert.number(options.attempts, 'options.number');
-    assert.ok(options.attempts >= 0);
+    assert.object(options.policy, 'options.policy');
     assert.object(options.client, 'options.client');
     assert.object(options.log, 'options.log');
     assert.string(options.op, 'options.op');
@@ -526,9 +1457,9 @@ function put(options, cb) {
     assert.string(options.key, 'options.key');
     assert.object(options.md, 'options.md');
     assert.object(options.putOptions, 'options.putOptions');
+    assert.optionalObject(options.version, 'options.version');
     assert.func(cb, 'callback');
 
-    var attempts = options.attempts;
     var client = options.client;
     var log = options.log;
     var op = options.op;
@@ -538,88 +1469,430 @@ function put(options, cb) {
     var opts = options.putOptions;
 
     log.debug({
-        attempts: attempts,
         key: key,
         metadata: md,
         etag: opts.etag,
-        requestId: opts.requestId,
+        requestId: opts.req_id,
         headers: opts.headers
     }, 'Moray.' + op + ': entered');
 
-    client.putObject(bucket, key, md, opts, function (err, data) {
-        if (err) {
-            log.debug({
-                err: err,
-                key: key,
-                requestId: opts.requestId
-            }, 'Moray.' + op + ': error writing metadata');
-
-            if ((err.name === 'EtagConflictError' ||
-                err.name === 'UniqueAttributeError') &&
-                opts.etag === undefined && ++attempts < 3) {
-                options.attempts++;
-                setImmediate(put, options, cb);
-            } else {
-                cb(err);
+    withRetry({
+        policy: options.policy,
+        log: log,
+        op: op,
+        key: key,
+        requestId: opts.req_id,
+        conditional: opts.etag !== undefined
+    }, function putOnce(_cb) {
+        function done(err, data) {
+            if (err) {
+                log.debug({
+                    err: err,
+                    key: key,
+                    requestId: opts.req_id
+                }, 'Moray.' + op + ': error writing metadata');
             }
+            _cb(err, data);
+        }
+
+        /*
+         * Keep the superseded metadata (with `options.version`, the request
+         * from versionRequest) instead of logging its deletion.
+         */
+        if (options.version) {
+            client.batch([ {
+                bucket: bucket,
+                key: key,
+                operation: 'put',
+                value: md,
+                options: {
+                    etag: opts.etag,
+                    headers: opts.headers
+                }
+            }, options.version ], {
+                req_id: opts.req_id
+            }, done);
+        } else {
+            client.putObject(bucket, key, md, opts, done);
+        }
+    }, function (err, data) {
+        if (err) {
+            cb(err);
         } else {
             log.debug({
                 key: key,
-                requestId: opts.requestId
+                requestId: opts.req_id
             }, 'Moray.' + op + ': done');
             cb(null, md, data);
         }
     });
 }
 
-///--- API
+/*
+ * Wraps `cb` so that, once a write has completed (successfully or not), any
+ * cached metadata for `keys` is dropped.  Bumping the cache generation also
+ * keeps reads that were already in flight from caching what they found.
+ */
+function invalidating(client, keys, cb) {
+    if (!client.cache)
+        return (cb);
 
-function Moray(options) {
-    var self = this;
+    return (function () {
+        keys.forEach(function (k) {
+            client.cache.del(k);
+        });
+        client.cacheGeneration++;
+        cb.apply(null, arguments);
+    });
+}
 
-    assert.optionalBool(options.readOnly, 'options.readOnly');
 
-    EventEmitter.call(this);
+/*
+ * Returns the keys of the manta bucket records in a list of batch requests.
+ */
+function mantaKeys(buckets, requests) {
+    return (requests.filter(function (r) {
+        return (r.bucket === buckets.manta);
+    }).map(function (r) {
+        return (r.key);
+    }));
+}
 
-    this.client = null;
 
-    if (options.hasOwnProperty('morayOptions')) {
-        this.morayOptions = jsprim.deepCopy(options.morayOptions);
-    } else {
-        this.morayOptions = {
-            'host': options.host,
-            'port': parseInt(options.port || 2020, 10),
-            'retry': options.retry,
-            'connectTimeout': options.connectTimeout || 1000
-        };
-    }
+/*
+ * Wraps `cb` so that the client's metrics collector, if it has one, records
+ * the outcome and latency of `method`.
+ */
+function instrument(client, method, cb) {
+    if (!client.metrics)
+        return (cb);
 
-    this.log = options.log.child({ component: 'MorayIndexClient' }, true);
-    this.morayOptions.log = this.log;
-    this.morayOptions.unwrapErrors = true;
-    this.readOnly = false;
+    return (client.metrics.instrument('moray', method, cb));
+}
 
-    if (options.readOnly) {
-        this.readOnly = true;
+
+/*
+ * Returns the error with which `client` refuses new operations, or null if it
+ * accepts them: a ShuttingDownError once shutdown() has been called, and,
+ * with `healthCheck.failFast`, a NotConnectedError while health checks are
+ * failing.
+ */
+function unavailableError(client) {
+    if (client.shuttingDown)
+        return (new errors.ShuttingDownError('moray'));
+
+    if (client.healthError !== null && client.healthCheck.failFast) {
+        return (new errors.NotConnectedError(client.healthError, 'moray',
+            client.remote));
     }
 
-    /*
-     * Configure the exponential backoff object we use to manage backoff during
-     * initialization.
-     */
-    this.initBackoff = new backoff.exponential({
-        'randomisationFactor': 0.5,
-        'initialDelay': 1000,
-        'maxDelay': 300000
-    });
+    return (null);
+}
 
-    this.initBackoff.on('backoff', function (which, delay, error) {
-        assert.equal(which + 1, self.initAttempts);
-        self.log.warn({
-            'nfailures': which + 1,
-            'willRetryAfterMilliseconds': delay,
+
+/*
+ * If `client` refuses new operations (see unavailableError), fails `cb` with
+ * the reason and returns true.
+ */
+function unavailable(client, cb) {
+    var err = unavailableError(client);
+
+    if (err === null)
+        return (false);
+
+    setImmediate(function () {
+        cb(err);
+    });
+    return (true);
+}
+
+
+/*
+ * Pings Moray every `healthCheck.interval` milliseconds once `client` has
+ * initialized.  A ping that fails or takes longer than `healthCheck.timeout`
+ * makes the client emit 'unhealthy' with a HealthCheckError, and the next one
+ * to succeed makes it emit 'healthy' again.
+ */
+function startHealthCheck(client) {
+    var hc = client.healthCheck;
+    var log = client.log;
+
+    function check() {
+        var timer;
+        var done = once(function (err) {
+            clearTimeout(timer);
+            if (client.healthTimer === null)
+                return;
+
+            if (err) {
+                log.warn(err, 'Moray.healthCheck: failed');
+                if (client.healthError === null) {
+                    client.healthError = err;
+                    client.emit('unhealthy', err);
+                } else {
+                    client.healthError = err;
+                }
+            } else {
+                log.trace('Moray.healthCheck: ok');
+                if (client.healthError !== null) {
+                    client.healthError = null;
+                    client.emit('healthy');
+                }
+            }
+
+            client.healthTimer = setTimeout(check, hc.interval);
+        });
+
+        timer = setTimeout(function () {
+            done(new errors.HealthCheckError('moray',
+                sprintf('(timed out after %d ms)', hc.timeout)));
+        }, hc.timeout);
+
+        client.client.ping({}, function (err) {
+            if (err) {
+                done(new errors.HealthCheckError(err, 'moray',
+                    sprintf('(%s)', err.message)));
+            } else {
+                done(null);
+            }
+        });
+    }
+
+    client.healthTimer = setTimeout(check, hc.interval);
+}
+
+
+function stopHealthCheck(client) {
+    if (client.healthTimer !== null) {
+        clearTimeout(client.healthTimer);
+        client.healthTimer = null;
+    }
+}
+
+
+/*
+ * Emits an initialization event from `client`, or holds it (in order) if the
+ * client was created during the current tick; see the Moray constructor.
+ */
+function emitInit(client) {
+    var args = Array.prototype.slice.call(arguments, 1);
+
+    if (client.initEvents !== null) {
+        client.initEvents.push(args);
+        return;
+    }
+
+    client.emit.apply(client, args);
+}
+
+
+/*
+ * Wraps `cb` so that the operation counts as in flight until it completes.
+ * When the last in-flight operation of a client that is shutting down
+ * completes, the client emits 'drain'.
+ */
+function track(client, cb) {
+    client.inflight++;
+
+    return (once(function () {
+        client.inflight--;
+        cb.apply(null, arguments);
+
+        if (client.inflight === 0 && client.shuttingDown)
+            client.emit('drain');
+    }));
+}
+
+
+///--- API
+
+function Moray(options) {
+    var self = this;
+
+    assert.optionalBool(options.readOnly, 'options.readOnly');
+    assert.optionalBool(options.plan, 'options.plan');
+    assert.optionalObject(options.backend, 'options.backend');
+    assert.optionalObject(options.retryPolicy, 'options.retryPolicy');
+    assert.optionalBool(options.checkLastReference,
+        'options.checkLastReference');
+    assert.optionalBool(options.versions, 'options.versions');
+    assert.optionalBool(options.trash, 'options.trash');
+    assert.optionalNumber(options.trashTtl, 'options.trashTtl');
+    assert.optionalObject(options.cache, 'options.cache');
+    assert.optionalObject(options.metrics, 'options.metrics');
+    assert.optionalObject(options.buckets, 'options.buckets');
+    assert.optionalObject(options.healthCheck, 'options.healthCheck');
+
+    EventEmitter.call(this);
+
+    this.client = null;
+
+    /*
+     * The backend is whatever provides createClient(): normally the node-moray
+     * module itself, but consumers (and our own test suite) may supply an
+     * in-memory backend from createMemoryMorayBackend() to run offline.
+     */
+    this.backend = options.backend || moray;
+    this.retryPolicy = createRetryPolicy(options.retryPolicy || {});
+
+    /*
+     * The names of the buckets this client uses: those in `options.buckets`,
+     * and otherwise the defaults (which may come from the environment).
+     */
+    this.buckets = clone(BUCKETS);
+    Object.keys(options.buckets || {}).forEach(function (k) {
+        var name = options.buckets[k];
+
+        assert.ok(BUCKETS.hasOwnProperty(k), 'unknown bucket: ' + k);
+        assert.string(name, 'options.buckets.' + k);
+        assert.ok(BUCKET_NAME_RE.test(name),
+            'options.buckets.' + k + ' must be a valid table name');
+        self.buckets[k] = name;
+    });
+
+    /*
+     * When snaplinks are disabled, deleted objects normally go straight to
+     * the fastdelete queue.  This makes the delete log post hook check that no
+     * other key on the same shard still references the object first (see
+     * recordDeleteLog).
+     */
+    this.checkLastReference = options.checkLastReference || false;
+
+    /* Whether to set up (and allow writes that use) the versions bucket. */
+    this.versions = options.versions || false;
+
+    /*
+     * Whether to set up (and allow deletes that use) the trash bucket, and how
+     * long deleted metadata stays there.
+     */
+    this.trash = options.trash || false;
+    this.trashTtl = options.trashTtl || TRASH_TTL;
+
+    /*
+     * getMetadata can be served from an LRU cache of up to `cache.max`
+     * records, each kept for `cache.maxAge` milliseconds.  Writes made through
+     * this client invalidate the keys they touch, but writes made elsewhere
+     * are only seen once the cached record expires.
+     */
+    this.cache = null;
+    this.cacheGeneration = 0;
+    this.cacheHits = 0;
+    this.cacheMisses = 0;
+    if (options.cache) {
+        assert.optionalNumber(options.cache.max, 'options.cache.max');
+        assert.optionalNumber(options.cache.maxAge, 'options.cache.maxAge');
+        this.cache = LRU({
+            max: options.cache.max || CACHE_MAX,
+            maxAge: options.cache.maxAge || CACHE_MAX_AGE
+        });
+    }
+
+    /*
+     * A collector from createMetricsCollector(), in which to record the count,
+     * errors and latency of metadata operations.
+     */
+    this.metrics = options.metrics || null;
+
+    /*
+     * The number of metadata operations that have not yet completed, and
+     * whether shutdown() has been called (which refuses new ones).
+     */
+    this.inflight = 0;
+    this.shuttingDown = false;
+
+    /*
+     * The callbacks passed to shutdown(), to call once the client has closed,
+     * and whether it has.
+     */
+    this.shutdownCallbacks = [];
+    this.shutdownDone = false;
+
+    /* Whether close() has been called on the current node-moray client. */
+    this.clientClosing = false;
+
+    /*
+     * With `options.healthCheck`, Moray is pinged periodically once the client
+     * has initialized (see startHealthCheck).  `healthError` is the error from
+     * the last check while checks are failing, and null otherwise.
+     */
+    this.healthCheck = null;
+    this.healthError = null;
+    this.healthTimer = null;
+    if (options.healthCheck) {
+        assert.optionalNumber(options.healthCheck.interval,
+            'options.healthCheck.interval');
+        assert.optionalNumber(options.healthCheck.timeout,
+            'options.healthCheck.timeout');
+        assert.optionalBool(options.healthCheck.failFast,
+            'options.healthCheck.failFast');
+        this.healthCheck = {
+            interval: options.healthCheck.interval || HEALTH_CHECK_INTERVAL,
+            timeout: options.healthCheck.timeout || HEALTH_CHECK_TIMEOUT,
+            failFast: options.healthCheck.failFast || false
+        };
+    }
+
+    if (options.hasOwnProperty('morayOptions')) {
+        this.morayOptions = jsprim.deepCopy(options.morayOptions);
+    } else {
+        this.morayOptions = {
+            'host': options.host,
+            'port': parseInt(options.port || 2020, 10),
+            'retry': options.retry,
+            'connectTimeout': options.connectTimeout || 1000
+        };
+    }
+
+    /* Where the client connects to, as reported in NotConnectedErrors. */
+    this.remote = this.morayOptions.srvDomain || this.morayOptions.url ||
+        (this.morayOptions.host ? sprintf('tcp://%s:%d',
+        this.morayOptions.host, this.morayOptions.port) : 'moray');
+
+    this.log = options.log.child({ component: 'MorayIndexClient' }, true);
+    this.morayOptions.log = this.log;
+    this.morayOptions.unwrapErrors = true;
+    this.readOnly = false;
+
+    if (options.readOnly) {
+        this.readOnly = true;
+    }
+
+    /*
+     * A client in plan mode works out what setting up the database would
+     * change (see planSetup), emits that as 'plan', and changes nothing.  It
+     * is otherwise a read-only client.
+     */
+    this.planOnly = false;
+
+    if (options.plan) {
+        this.planOnly = true;
+        this.readOnly = true;
+    }
+
+    /*
+     * Configure the exponential backoff object we use to manage backoff during
+     * initialization.
+     */
+    this.initBackoff = new backoff.exponential({
+        'randomisationFactor': 0.5,
+        'initialDelay': 1000,
+        'maxDelay': 300000
+    });
+
+    this.initBackoff.on('backoff', function (which, delay, error) {
+        assert.equal(which + 1, self.initAttempts);
+        self.log.warn({
+            'nfailures': which + 1,
+            'willRetryAfterMilliseconds': delay,
             'error': error
         }, 'libmanta.Moray.initAttempt failed (will retry)');
+        self.initPhase = 'backoff';
+        self.initRetryAt = Date.now() + delay;
+        emitInit(self, 'initRetry', {
+            attempt: which + 1,
+            delay: delay,
+            error: error
+        });
     });
 
     this.initBackoff.on('ready', function () {
@@ -660,7 +1933,26 @@ function Moray(options) {
     this.initBuckets = null;
     this.initTrigger = null;
 
+    /* These fields are reported by status(). */
+    this.initPhase = null;
+    this.initError = null;
+    this.initRetryAt = null;
+
+    /*
+     * The first attempt starts right away, but the events initialization
+     * emits are held until the next tick, so that consumers can listen for
+     * the ones it emits before createMorayClient returns.
+     */
+    this.initEvents = [];
     this.initAttempt();
+    setImmediate(function () {
+        var events = self.initEvents;
+
+        self.initEvents = null;
+        events.forEach(function (args) {
+            self.emit.apply(self, args);
+        });
+    });
 }
 
 util.inherits(Moray, EventEmitter);
@@ -681,13 +1973,47 @@ Moray.prototype.initAttempt = function initAttempt() {
 
     var initFuncs = [];
 
+    this.initRetryAt = null;
+
+    /*
+     * Wraps each step of initialization so that it is reported by status()
+     * while it runs, and emits 'initPhase' when it starts, succeeds or fails.
+     */
+    function phase(name, func) {
+        return (function runPhase(callback) {
+            var start = Date.now();
+
+            self.initPhase = name;
+            emitInit(self, 'initPhase', {
+                phase: name,
+                state: 'started',
+                attempt: self.initAttempts
+            });
+
+            func(function (err) {
+                var info = {
+                    phase: name,
+                    state: err ? 'failed' : 'succeeded',
+                    attempt: self.initAttempts,
+                    duration: Date.now() - start
+                };
+
+                if (err)
+                    info.error = err;
+                emitInit(self, 'initPhase', info);
+                callback.apply(null, arguments);
+            });
+        });
+    }
+
     /*
      * Define vasync waterfall steps such that we can
      * decide which ones to add to the waterfall depending
      * on whether or not this is a read-only client.
      */
     function initClient(callback) {
-        self.client = moray.createClient(self.morayOptions);
+        self.client = self.backend.createClient(self.morayOptions);
+        self.clientClosing = false;
 
         var onErrorDuringConnect = function onErrDuringConnect(err) {
             callback(new VError(err, 'moray client error'));
@@ -702,33 +2028,61 @@ Moray.prototype.initAttempt = function initAttempt() {
     }
 
     function setupBuckets(callback) {
-        self.initBuckets = setupMantaBuckets(log, self.client, callback);
+        self.initBuckets = setupMantaBuckets(log, self.client, {
+            buckets: self.buckets,
+            versions: self.versions,
+            trash: self.trash
+        }, callback);
     }
 
     function setupTrigger(callback) {
-        self.initTrigger = setupMantaTrigger(log, self.client, callback);
+        self.initTrigger = setupMantaTrigger(log, self.client, self.buckets,
+            callback);
+    }
+
+    function planSetup(callback) {
+        self.planSetup({}, callback);
     }
 
-    initFuncs.push(initClient);
+    initFuncs.push(phase('connect', initClient));
     // If this is a readOnly client, do not do database setup tasks
-    if (!this.readOnly) {
-        initFuncs.push(setupBuckets);
-        initFuncs.push(setupTrigger);
+    if (this.planOnly) {
+        initFuncs.push(phase('planSetup', planSetup));
+    } else if (!this.readOnly) {
+        initFuncs.push(phase('setupBuckets', setupBuckets));
+        initFuncs.push(phase('setupTrigger', setupTrigger));
     }
 
-    this.initPipeline = vasync.waterfall(initFuncs, function (err) {
+    this.initPipeline = vasync.waterfall(initFuncs, function (err, plan) {
         self.initPipeline = null;
         self.initBuckets = null;
         self.initTrigger = null;
 
+        if (self.shuttingDown && !err) {
+            /* shutdown() closes the client; there's nothing to report. */
+            log.info({ 'attempt': self.initAttempts },
+                'libmanta.Moray.initAttempt: done, but shutting down');
+            self.initPhase = 'closed';
+            return;
+        }
+
         if (err) {
             if (self.initBuckets !== null) {
                 self.client.removeListener('error', self.onErrorDuringInit);
             }
-            self.client.close();
+            /* shutdown() may have closed it already. */
+            if (!self.clientClosing)
+                self.client.close();
             self.client = null;
             err = new VError(err, 'libmanta.Moray.initAttempt');
-            self.initBackoff.backoff(err);
+            self.initError = err;
+            if (self.shuttingDown) {
+                log.info({ 'attempt': self.initAttempts },
+                    'libmanta.Moray.initAttempt: not retrying after shutdown');
+                self.initPhase = 'closed';
+            } else {
+                self.initBackoff.backoff(err);
+            }
         } else {
             /*
              * We could reset the "backoff" object in the success case, or
@@ -738,11 +2092,20 @@ Moray.prototype.initAttempt = function initAttempt() {
              */
             self.client.removeListener('error', self.onErrorDuringInit);
             self.client.on('error', self.onErrorPostInit);
-            self.client.on('close', self.emit.bind(self, 'close'));
+            self.client.on('close', function () {
+                stopHealthCheck(self);
+                self.initPhase = 'closed';
+                self.emit('close');
+            });
             self.client.on('connect', self.emit.bind(self, 'connect'));
+            self.initPhase = 'ready';
+            if (self.healthCheck !== null)
+                startHealthCheck(self);
             log.info({ 'attempt': self.initAttempts },
                 'libmanta.Moray.initAttempt: done');
-            self.emit('connect');
+            if (self.planOnly)
+                emitInit(self, 'plan', plan);
+            emitInit(self, 'connect');
         }
     });
 };
@@ -753,6 +2116,10 @@ Moray.prototype.putMetadata = function putMetadata(options, callback) {
     assert.string(options.key, 'options.key');
     assert.string(options.requestId, 'options.requestId');
     assert.optionalBool(this.readOnly, 'this.readOnly');
+    assert.optionalBool(options.versioned, 'options.versioned');
+    assert.ok(!options.versioned || this.versions,
+        'options.versioned requires a client created with versions: true');
+    assertPreconditions(options);
     assert.func(callback, 'callback');
 
     if (this.readOnly) {
@@ -768,7 +2135,12 @@ Moray.prototype.putMetadata = function putMetadata(options, callback) {
         assert.ok(!options.previousMetadata);
     }
 
-    callback = once(callback);
+    callback = invalidating(this, [options.key], callback);
+    callback = once(instrument(this, 'putMetadata', callback));
+
+    if (unavailable(this, callback))
+        return;
+    callback = track(this, callback);
 
     if (!this.client) {
         setImmediate(function () {
@@ -777,29 +2149,51 @@ Moray.prototype.putMetadata = function putMetadata(options, callback) {
         return;
     }
 
+    var buckets = this.buckets;
     var putOptions = {
         req_id: options.requestId,
         etag: options._etag
     };
 
-    if (!options.upload) {
-        putOptions.headers = {
-            'x-muskie-prev-metadata': options.previousMetadata
-        };
+    var version;
+    if (options.versioned &&
+        supersedesObject(options.previousMetadata, options)) {
+        version = versionRequest(buckets, options.key,
+            options.previousMetadata);
+    } else if (!options.upload) {
+        putOptions.headers = putLogHeaders(options, buckets);
     }
 
     var opts = {
-        attempts: 0,
+        policy: this.retryPolicy,
         client: this.client,
         log: this.log,
         key: options.key,
         op: 'putMetadata',
-        bucket: BUCKET,
+        bucket: buckets.manta,
         md: createMetadata(options),
-        putOptions: putOptions
+        putOptions: putOptions,
+        version: version
     };
 
-    put(opts, callback);
+    if (!hasPreconditions(options)) {
+        put(opts, callback);
+        return;
+    }
+
+    conditional({
+        policy: this.retryPolicy,
+        client: this.client,
+        log: this.log,
+        op: 'putMetadata',
+        bucket: buckets.manta,
+        key: options.key,
+        conditions: options,
+        requestId: options.requestId
+    }, function (etag, cb) {
+        putOptions.etag = etag;
+        put(opts, cb);
+    }, callback);
 };
 
 
@@ -832,6 +2226,10 @@ function putFinalizingMetadata(options, callback) {
         });
     }
 
+    if (unavailable(this, callback))
+        return;
+    callback = track(this, callback);
+
     if (!this.client) {
         setImmediate(function () {
             callback(new Error('not connected'));
@@ -839,18 +2237,19 @@ function putFinalizingMetadata(options, callback) {
         return;
     }
 
+    var buckets = this.buckets;
     var putOptions = {
         req_id: options.requestId,
         etag: options._etag
     };
 
     var opts = {
-        attempts: 0,
+        policy: this.retryPolicy,
         client: this.client,
         log: this.log,
         key: options.key,
         op: 'putFinalizingMetadata',
-        bucket: MANTA_UPLOADS_BUCKET,
+        bucket: buckets.uploads,
         md: options.md,
         putOptions: putOptions
     };
@@ -859,12 +2258,24 @@ function putFinalizingMetadata(options, callback) {
 };
 
 
+/*
+ * Reads the metadata for `options.key`.  If the client has a cache, it is used
+ * unless `options.consistent` is set, in which case the record is read from
+ * Moray (and the cache refreshed with it).
+ */
 Moray.prototype.getMetadata = function getMetadata(options, callback) {
     assert.object(options, 'options');
     assert.string(options.key, 'options.key');
     assert.string(options.requestId, 'options.requestId');
+    assert.optionalBool(options.consistent, 'options.consistent');
     assert.func(callback, 'callback');
 
+    callback = instrument(this, 'getMetadata', callback);
+
+    if (unavailable(this, callback))
+        return;
+    callback = track(this, callback);
+
     if (!this.client) {
         setImmediate(function () {
             callback(new Error('not connected'));
@@ -872,13 +2283,17 @@ Moray.prototype.getMetadata = function getMetadata(options, callback) {
         return;
     }
 
+    var buckets = this.buckets;
+    var cache = this.cache;
     var client = this.client;
+    var generation = this.cacheGeneration;
     var key = options.key;
     var log = this.log;
     var opts = {
         req_id: options.requestId,
         noCache: true
     };
+    var self = this;
 
     log.debug({
         key: key,
@@ -886,7 +2301,24 @@ Moray.prototype.getMetadata = function getMetadata(options, callback) {
         headers: opts.headers
     }, 'Moray.getMetadata: entered');
 
-    client.getObject(BUCKET, key, opts, function (err, md) {
+    if (cache && !options.consistent) {
+        var cached = cache.get(key);
+        if (cached) {
+            this.cacheHits++;
+            log.debug({
+                key: key,
+                requestId: opts.requestId
+            }, 'Moray.getMetadata: cached');
+            cached = jsprim.deepCopy(cached);
+            setImmediate(function () {
+                callback(null, cached.value, cached);
+            });
+            return;
+        }
+        this.cacheMisses++;
+    }
+
+    client.getObject(buckets.manta, key, opts, function (err, md) {
         if (err) {
             log.debug({
                 err: err,
@@ -900,6 +2332,8 @@ Moray.prototype.getMetadata = function getMetadata(options, callback) {
                 metadata: md.value,
                 requestId: opts.requestId
             }, 'Moray.getMetadata: done');
+            if (cache && generation === self.cacheGeneration)
+                cache.set(key, jsprim.deepCopy(md));
             callback(null, md.value, md);
         }
     });
@@ -917,6 +2351,10 @@ function getFinalizingMetadata(options, callback) {
     assert.string(options.requestId, 'options.requestId');
     assert.func(callback, 'callback');
 
+    if (unavailable(this, callback))
+        return;
+    callback = track(this, callback);
+
     if (!this.client) {
         setImmediate(function () {
             callback(new Error('not connected'));
@@ -924,6 +2362,7 @@ function getFinalizingMetadata(options, callback) {
         return;
     }
 
+    var buckets = this.buckets;
     var client = this.client;
     var key = options.key;
     var log = this.log;
@@ -937,7 +2376,7 @@ function getFinalizingMetadata(options, callback) {
         requestId: opts.requestId
     }, 'Moray.getFinalizingMetadata: entered');
 
-    client.getObject(MANTA_UPLOADS_BUCKET, key, opts, function (err, md) {
+    client.getObject(buckets.uploads, key, opts, function (err, md) {
         if (err) {
             log.debug({
                 err: err,
@@ -964,8 +2403,26 @@ Moray.prototype.delMetadata = function delMetadata(options, callback) {
     assert.object(options, 'options.previousMetadata');
     assert.optionalBool(options.snapLinksDisabled,
         'options.snapLinksDisabled');
+    assert.optionalBool(options.checkLastReference,
+        'options.checkLastReference');
+    assert.optionalBool(options.versioned, 'options.versioned');
+    assert.ok(!options.versioned || this.versions,
+        'options.versioned requires a client created with versions: true');
+    assert.optionalBool(options.trash, 'options.trash');
+    assert.ok(!options.trash || this.trash,
+        'options.trash requires a client created with trash: true');
+    assert.ok(!options.trash || !options.versioned,
+        'options.trash and options.versioned are mutually exclusive');
+    assertPreconditions(options);
     assert.func(callback, 'callback');
 
+    callback = invalidating(this, [options.key], callback);
+    callback = instrument(this, 'delMetadata', callback);
+
+    if (unavailable(this, callback))
+        return;
+    callback = track(this, callback);
+
     if (!this.client) {
         setImmediate(function () {
             callback(new Error('not connected'));
@@ -973,7 +2430,7 @@ Moray.prototype.delMetadata = function delMetadata(options, callback) {
         return;
     }
 
-    var attempts = 0;
+    var buckets = this.buckets;
     var client = this.client;
     var key = options.key;
     var log = this.log;
@@ -981,16 +2438,18 @@ Moray.prototype.delMetadata = function delMetadata(options, callback) {
         req_id: options.requestId,
         etag: options._etag
     };
-
-    if (options.snapLinksDisabled) {
-        opts.headers = {
-            'x-muskie-prev-metadata': options.previousMetadata,
-            'x-muskie-snaplinks-disabled': true
-        };
+    var policy = this.retryPolicy;
+
+    var keep;
+    if (options.trash) {
+        keep = trashRequest(buckets, key, options.previousMetadata,
+            this.trashTtl);
+    } else if (options.versioned &&
+        supersedesObject(options.previousMetadata)) {
+        keep = versionRequest(buckets, key, options.previousMetadata);
     } else {
-        opts.headers = {
-            'x-muskie-prev-metadata':  options.previousMetadata
-        };
+        opts.headers = deleteLogHeaders(options, this.checkLastReference,
+            buckets);
     }
 
     log.debug({
@@ -999,30 +2458,107 @@ Moray.prototype.delMetadata = function delMetadata(options, callback) {
         requestId: opts.requestId,
         headers: opts.headers
     }, 'Moray.delMetadata: entered');
-    (function del() {
-        client.delObject(BUCKET, key, opts, function (err) {
-            if (err) {
-                log.debug({
-                    err: err,
-                    key: key,
-                    requestId: opts.requestId
-                }, 'Moray.delMetadata: error');
-                if ((err.name === 'EtagConflictError' ||
-                     err.name === 'UniqueAttributeError') &&
-                    opts.etag === undefined && ++attempts < 3) {
-                    process.nextTick(del);
-                } else {
-                    callback(err);
+
+    function del(cb) {
+        var attempts = 0;
+
+        withRetry({
+            policy: policy,
+            log: log,
+            op: 'delMetadata',
+            key: key,
+            requestId: opts.req_id,
+            conditional: opts.etag !== undefined
+        }, function delOnce(_cb) {
+            var retry = attempts++ > 0;
+
+            function done(err) {
+                if (err && retry && options.trash) {
+                    trashed(err);
+                    return;
+                }
+                if (err) {
+                    log.debug({
+                        err: err,
+                        key: key,
+                        requestId: opts.req_id
+                    }, 'Moray.delMetadata: error');
                 }
+                _cb(err);
+            }
+
+            /*
+             * The trash record is only ever created, under the same key on
+             * every attempt.  If it's there, an earlier attempt that we did
+             * not hear back from went through (with the delete, as they're
+             * in one batch), so this one failing doesn't matter.
+             */
+            function trashed(err) {
+                client.getObject(buckets.trash, keep.key, {
+                    req_id: opts.req_id,
+                    noCache: true
+                }, function (err2) {
+                    if (!err2) {
+                        log.debug({
+                            err: err,
+                            key: key,
+                            trashId: keep.value.trashId,
+                            requestId: opts.req_id
+                        }, 'Moray.delMetadata: already moved to the trash');
+                        _cb(null);
+                    } else {
+                        retry = false;
+                        done(err);
+                    }
+                });
+            }
+
+            /* Keep the deleted metadata instead of logging its deletion. */
+            if (keep) {
+                client.batch([ {
+                    bucket: buckets.manta,
+                    key: key,
+                    operation: 'delete',
+                    options: {
+                        etag: opts.etag
+                    }
+                }, keep ], {
+                    req_id: opts.req_id
+                }, done);
+            } else {
+                client.delObject(buckets.manta, key, opts, done);
+            }
+        }, function (err) {
+            if (err) {
+                cb(err);
             } else {
                 log.debug({
                     key: key,
-                    requestId: opts.requestId
+                    requestId: opts.req_id
                 }, 'Moray.delMetadata: done');
-                callback(null);
+                cb(null);
             }
         });
-    })();
+    }
+
+    if (!hasPreconditions(options)) {
+        del(callback);
+        return;
+    }
+
+    conditional({
+        policy: this.retryPolicy,
+        client: client,
+        log: log,
+        op: 'delMetadata',
+        bucket: buckets.manta,
+        key: key,
+        conditions: options,
+        requestId: options.requestId
+    }, function (etag, cb) {
+        opts.etag = etag;
+        del(cb);
+    }, callback);
 };
 
 
@@ -1032,7 +2568,11 @@ Moray.prototype.getDirectoryCount = function getDirectoryCount(options, cb) {
     assert.string(options.requestId, 'options.requestId');
     assert.func(cb, 'callback');
 
-    cb = once(cb);
+    cb = once(instrument(this, 'getDirectoryCount', cb));
+
+    if (unavailable(this, cb))
+        return;
+    cb = track(this, cb);
 
     if (!this.client) {
         setImmediate(function () {
@@ -1041,6 +2581,7 @@ Moray.prototype.getDirectoryCount = function getDirectoryCount(options, cb) {
         return;
     }
 
+    var buckets = this.buckets;
     var client = this.client;
     var dir = options.directory;
     var log = this.log;
@@ -1054,7 +2595,7 @@ Moray.prototype.getDirectoryCount = function getDirectoryCount(options, cb) {
         requestId: opts.requestId
     }, 'Moray.getDirectoryCount: entered');
 
-    client.getObject(DIR_COUNT_BUCKET, dir, opts, function (err, obj) {
+    client.getObject(buckets.directoryCounts, dir, opts, function (err, obj) {
         if (err) {
             cb(err);
         } else {
@@ -1082,14 +2623,19 @@ Moray.prototype.commitMPU = function commitMPU(options, cb) {
     assert.ok(options.requests.length === 2);
     assert.ok(options.requests[0].operation === 'put');
     assert.ok(options.requests[1].operation === 'put');
-    assert.ok(((options.requests[0].bucket === BUCKET) &&
-               (options.requests[1].bucket === MANTA_UPLOADS_BUCKET)) ||
-              ((options.requests[1].bucket === BUCKET) &&
-               (options.requests[0].bucket === MANTA_UPLOADS_BUCKET)));
+    assert.ok(((options.requests[0].bucket === this.buckets.manta) &&
+               (options.requests[1].bucket === this.buckets.uploads)) ||
+              ((options.requests[1].bucket === this.buckets.manta) &&
+               (options.requests[0].bucket === this.buckets.uploads)));
     assert.string(options.requestId, 'options.requestId');
     assert.func(cb, 'callback');
 
-    cb = once(cb);
+    cb = invalidating(this, mantaKeys(this.buckets, options.requests), cb);
+    cb = once(instrument(this, 'commitMPU', cb));
+
+    if (unavailable(this, cb))
+        return;
+    cb = track(this, cb);
 
     if (!this.client) {
         setImmediate(function () {
@@ -1109,7 +2655,17 @@ Moray.prototype.commitMPU = function commitMPU(options, cb) {
         requestId: opts.requestId
     }, 'Moray.commitMPU: entered');
 
-    client.batch(options.requests, opts, function (err, meta) {
+    withRetry({
+        policy: this.retryPolicy,
+        log: log,
+        op: 'commitMPU',
+        requestId: opts.req_id,
+        conditional: options.requests.some(function (r) {
+            return (r.options && r.options.etag !== undefined);
+        })
+    }, function batchOnce(_cb) {
+        client.batch(options.requests, opts, _cb);
+    }, function (err, meta) {
         if (err) {
             cb(err);
         } else {
@@ -1122,17 +2678,2329 @@ Moray.prototype.commitMPU = function commitMPU(options, cb) {
 };
 
 
-Moray.prototype.ping = function ping(opts, cb) {
-    if (typeof (opts) === 'function') {
-        cb = opts;
-        opts = {};
-    }
-    assert.object(opts, 'options');
-    assert.func(cb, 'callback');
+/*
+ * Lists the entries of a directory in pages.  Returns an EventEmitter that
+ * emits 'entry' for each entry (see normalizeEntry), and then 'end' with the
+ * marker to pass as `options.marker` to fetch the next page, or null if
+ * there are no more entries.
+ *
+ * Options:
+ *
+ *     directory        key of the directory to list
+ *
+ *     requestId        request id for logging
+ *
+ *     marker           (optional) marker returned by a previous call
+ *
+ *     limit            (optional) maximum number of entries to return
+ *
+ *     sort             (optional) { attribute: 'name' | 'mtime',
+ *                      order: 'ASC' | 'DESC' }, defaulting to name ascending
+ *
+ *     type             (optional) only list entries of this type ('object' or
+ *                      'directory')
+ */
+Moray.prototype.listDirectory = function listDirectory(options) {
+    assert.object(options, 'options');
+    assert.string(options.directory, 'options.directory');
+    assert.string(options.requestId, 'options.requestId');
+    assert.optionalString(options.marker, 'options.marker');
+    assert.optionalNumber(options.limit, 'options.limit');
+    assert.optionalObject(options.sort, 'options.sort');
+    assert.optionalString(options.type, 'options.type');
 
-    if (!this.client) {
-        process.nextTick(cb.bind(this, new Error('not connected')));
-        return;
+    if (!this.client)
+        throw new Error('not connected');
+
+    var buckets = this.buckets;
+    var dir = options.directory;
+    var limit = Math.min(options.limit || LIST_LIMIT, LIST_MAX_LIMIT);
+    var log = this.log;
+    var res = new EventEmitter();
+    var sort = options.sort || {};
+    var attribute = sort.attribute || 'name';
+    var order = (sort.order || 'ASC').toUpperCase();
+    var after, filter, opts, req;
+
+    assert.ok(attribute === 'name' || attribute === 'mtime',
+        'options.sort.attribute must be "name" or "mtime"');
+    assert.ok(order === 'ASC' || order === 'DESC',
+        'options.sort.order must be "ASC" or "DESC"');
+
+    if (options.marker) {
+        after = markerFilter(options.marker, attribute, order);
+        if (after === null) {
+            setImmediate(function () {
+                res.emit('error',
+                    new errors.InvalidMarkerError(options.marker));
+            });
+            return (res);
+        }
+    }
+
+    filter = sprintf('(dirname=%s)', escapeFilterValue(dir));
+    /*
+     * Top-level directories store their own key as their dirname (see
+     * createMetadata), so they would otherwise show up in their own listing.
+     */
+    if (ROOT_RE.test(dir))
+        filter += sprintf('(!(_key=%s))', escapeFilterValue(dir));
+    if (options.type)
+        filter += sprintf('(type=%s)', escapeFilterValue(options.type));
+    if (after)
+        filter += after;
+    filter = '(&' + filter + ')';
+
+    opts = {
+        hashkey: dir,
+        /* Ask for one more than we need to know whether there's more. */
+        limit: limit + 1,
+        no_count: true,
+        req_id: options.requestId,
+        sort: (attribute === 'name' ?
+            { attribute: 'name', order: order } :
+            [ { attribute: '_mtime', order: order },
+              { attribute: 'name', order: order } ])
+    };
+
+    log.debug({
+        dir: dir,
+        filter: filter,
+        requestId: options.requestId
+    }, 'Moray.listDirectory: entered');
+
+    var count = 0;
+    var last = null;
+    var more = false;
+
+    req = this.client.findObjects(buckets.manta, filter, opts);
+    req.on('record', function (obj) {
+        if (++count > limit) {
+            more = true;
+            return;
+        }
+
+        last = obj;
+        res.emit('entry', normalizeEntry(obj));
+    });
+    req.once('error', function (err) {
+        log.debug({
+            err: err,
+            dir: dir,
+            requestId: options.requestId
+        }, 'Moray.listDirectory: error');
+        res.emit('error', err);
+    });
+    req.once('end', function () {
+        var next = null;
+
+        if (more) {
+            next = (attribute === 'name' ? last.value.name :
+                last._mtime + '/' + last.value.name);
+        }
+
+        log.debug({
+            dir: dir,
+            entries: Math.min(count, limit),
+            next: next,
+            requestId: options.requestId
+        }, 'Moray.listDirectory: done');
+        res.emit('end', next);
+    });
+
+    return (res);
+};
+
+
+/*
+ * Atomically applies a list of metadata puts and deletes in a single Moray
+ * batch.  Each request has an `operation` ('put' or 'delete') and a `bucket`,
+ * which defaults to the manta bucket.
+ *
+ * For the manta bucket, a put takes the same options as putMetadata (the
+ * record is built with createMetadata), and a delete takes the same options as
+ * delMetadata.  In both cases `previousMetadata` (and, for deletes,
+ * `snapLinksDisabled`) are passed along so that the delete log is maintained
+ * as it would be for the individual operations.
+ *
+ * For the multipart uploads bucket, a put takes the same options as
+ * putFinalizingMetadata and a delete only needs a `key`.
+ *
+ * Any request may include `_etag` to make it conditional on the current Moray
+ * etag of its key.  On success, the callback is invoked with an array of the
+ * metadata written for each request (undefined for deletes) and the result of
+ * the Moray batch.
+ */
+Moray.prototype.batchMetadata = function batchMetadata(options, cb) {
+    assert.object(options, 'options');
+    assert.arrayOfObject(options.requests, 'options.requests');
+    assert.ok(options.requests.length > 0, 'options.requests is empty');
+    assert.string(options.requestId, 'options.requestId');
+    assert.func(cb, 'callback');
+
+    if (this.readOnly) {
+        throw new assert.AssertionError({
+            message: 'Operation batchMetadata ' +
+                'not supported in a read-only client'
+        });
+    }
+
+    var buckets = this.buckets;
+    var checkLastReference = this.checkLastReference;
+    var requests = options.requests.map(function (r, i) {
+        var name = 'options.requests[' + i + ']';
+        var bucket = r.bucket || buckets.manta;
+        var req = {
+            bucket: bucket,
+            key: r.key,
+            operation: r.operation,
+            options: {
+                etag: r._etag
+            }
+        };
+
+        assert.string(r.key, name + '.key');
+        assert.ok(r.operation === 'put' || r.operation === 'delete',
+            name + '.operation must be "put" or "delete"');
+        assert.ok(bucket === buckets.manta || bucket === buckets.uploads,
+            name + '.bucket is not a libmanta metadata bucket');
+
+        if (bucket === buckets.manta) {
+            assert.optionalObject(r.previousMetadata,
+                name + '.previousMetadata');
+            assert.optionalBool(r.snapLinksDisabled,
+                name + '.snapLinksDisabled');
+            assert.optionalBool(r.checkLastReference,
+                name + '.checkLastReference');
+            if (r.operation === 'put') {
+                req.value = createMetadata(r);
+                if (!r.upload)
+                    req.options.headers = putLogHeaders(r, buckets);
+            } else {
+                req.options.headers = deleteLogHeaders(r,
+                    checkLastReference, buckets);
+            }
+        } else if (r.operation === 'put') {
+            assert.object(r.md, name + '.md');
+            assert.string(r.md.uploadId, name + '.md.uploadId');
+            assert.string(r.md.finalizingType, name + '.md.finalizingType');
+            assert.string(r.md.owner, name + '.md.owner');
+            assert.string(r.md.requestId, name + '.md.requestId');
+            assert.string(r.md.objectPath, name + '.md.objectPath');
+            assert.string(r.md.objectId, name + '.md.objectId');
+            req.value = r.md;
+        }
+
+        return (req);
+    });
+    var mds = requests.map(function (r) {
+        return (r.value);
+    });
+
+    cb = once(cb);
+    cb = invalidating(this, mantaKeys(buckets, requests), cb);
+
+    if (unavailable(this, cb))
+        return;
+    cb = track(this, cb);
+
+    if (!this.client) {
+        setImmediate(function () {
+            cb(new Error('not connected'));
+        });
+        return;
+    }
+
+    var client = this.client;
+    var log = this.log;
+    var opts = {
+        req_id: options.requestId
+    };
+
+    log.debug({
+        requests: requests,
+        requestId: opts.req_id
+    }, 'Moray.batchMetadata: entered');
+
+    withRetry({
+        policy: this.retryPolicy,
+        log: log,
+        op: 'batchMetadata',
+        requestId: opts.req_id,
+        conditional: requests.some(function (r) {
+            return (r.options.etag !== undefined);
+        })
+    }, function batchOnce(_cb) {
+        client.batch(requests, opts, _cb);
+    }, function (err, meta) {
+        if (err) {
+            log.debug({
+                err: err,
+                requestId: opts.req_id
+            }, 'Moray.batchMetadata: error');
+            cb(err);
+        } else {
+            log.debug({
+                requestId: opts.req_id
+            }, 'Moray.batchMetadata: done');
+            cb(null, mds, meta);
+        }
+    });
+};
+
+
+/*
+ * Atomically renames the metadata at `options.from` to `options.to`, as a put
+ * and a delete in a single Moray batch.  The record keeps its objectId (and
+ * everything else apart from its key, dirname and name), so the move itself
+ * never adds anything to the delete log.
+ *
+ * An existing destination is only replaced if `options.overwrite` is set, in
+ * which case its object goes through the delete log as it would for
+ * putMetadata (honoring `options.snapLinksDisabled`).  Otherwise the move
+ * fails with an IfNoneMatchFailedError.  Directories may only be moved (or
+ * replaced) while they are empty; a DirectoryNotEmptyError is returned
+ * otherwise.
+ *
+ * Both records are read before the batch is written, and the batch is
+ * conditional on their Moray etags, so a concurrent change to either of them
+ * causes the move to be evaluated again.
+ */
+Moray.prototype.moveMetadata = function moveMetadata(options, cb) {
+    assert.object(options, 'options');
+    assert.string(options.from, 'options.from');
+    assert.string(options.to, 'options.to');
+    assert.string(options.requestId, 'options.requestId');
+    assert.optionalBool(options.overwrite, 'options.overwrite');
+    assert.optionalBool(options.snapLinksDisabled,
+        'options.snapLinksDisabled');
+    assert.optionalBool(options.checkLastReference,
+        'options.checkLastReference');
+    assert.ok(options.from !== options.to,
+        'options.from and options.to must differ');
+    assert.func(cb, 'callback');
+
+    if (this.readOnly) {
+        throw new assert.AssertionError({
+            message: 'Operation moveMetadata ' +
+                'not supported in a read-only client'
+        });
+    }
+
+    cb = once(cb);
+    cb = invalidating(this, [options.from, options.to], cb);
+
+    if (unavailable(this, cb))
+        return;
+    cb = track(this, cb);
+
+    if (!this.client) {
+        setImmediate(function () {
+            cb(new Error('not connected'));
+        });
+        return;
+    }
+
+    var buckets = this.buckets;
+    var checkLastReference = this.checkLastReference;
+    var client = this.client;
+    var from = options.from;
+    var log = this.log;
+    var to = options.to;
+    var opts = {
+        req_id: options.requestId,
+        noCache: true
+    };
+
+    log.debug({
+        from: from,
+        to: to,
+        overwrite: options.overwrite,
+        requestId: opts.req_id
+    }, 'Moray.moveMetadata: entered');
+
+    function read(bucket, key, _cb) {
+        client.getObject(bucket, key, opts, function (err, obj) {
+            if (err && err.name === 'ObjectNotFoundError') {
+                _cb(null, null);
+            } else {
+                _cb(err, obj);
+            }
+        });
+    }
+
+    function checkEmpty(obj, _cb) {
+        if (!obj || obj.value.type !== 'directory') {
+            _cb();
+            return;
+        }
+
+        read(buckets.directoryCounts, obj.key, function (err, count) {
+            if (err) {
+                _cb(err);
+            } else if (count && count.value.entries > 0) {
+                _cb(new errors.DirectoryNotEmptyError(obj.key));
+            } else {
+                _cb();
+            }
+        });
+    }
+
+    function move(_cb) {
+        var src, dst;
+
+        vasync.waterfall([
+            function getSource(next) {
+                client.getObject(buckets.manta, from, opts,
+                    function (err, obj) {
+                    src = obj;
+                    next(err);
+                });
+            },
+            function getDestination(next) {
+                read(buckets.manta, to, function (err, obj) {
+                    dst = obj;
+                    if (!err && dst && !options.overwrite)
+                        err = new errors.IfNoneMatchFailedError(to);
+                    next(err);
+                });
+            },
+            function checkSource(next) {
+                checkEmpty(src, next);
+            },
+            function checkDestination(next) {
+                checkEmpty(dst, next);
+            },
+            function write(next) {
+                var md = clone(src.value);
+                md.key = to;
+                md.dirname = keyDirname(to);
+                md.name = path.basename(to);
+
+                client.batch([ {
+                    bucket: buckets.manta,
+                    key: to,
+                    operation: 'put',
+                    value: md,
+                    options: {
+                        etag: dst ? dst._etag : null,
+                        headers: deleteLogHeaders({
+                            previousMetadata: dst ? dst.value : undefined,
+                            snapLinksDisabled: options.snapLinksDisabled,
+                            checkLastReference: options.checkLastReference
+                        }, checkLastReference, buckets)
+                    }
+                }, {
+                    bucket: buckets.manta,
+                    key: from,
+                    operation: 'delete',
+                    options: {
+                        etag: src._etag
+                    }
+                } ], opts, function (err) {
+                    next(err, md);
+                });
+            }
+        ], _cb);
+    }
+
+    withRetry({
+        policy: this.retryPolicy,
+        log: log,
+        op: 'moveMetadata',
+        key: from,
+        requestId: opts.req_id,
+        /* One of the records changed after we read it, so start over. */
+        retryable: function (err) {
+            return (err.name === 'EtagConflictError');
+        }
+    }, move, function (err, md) {
+        if (err) {
+            log.debug({
+                err: err,
+                from: from,
+                to: to,
+                requestId: opts.req_id
+            }, 'Moray.moveMetadata: error');
+            cb(err);
+        } else {
+            log.debug({
+                from: from,
+                to: to,
+                metadata: md,
+                requestId: opts.req_id
+            }, 'Moray.moveMetadata: done');
+            cb(null, md);
+        }
+    });
+};
+
+
+
+/*
+ * Removes the directory `options.directory` and everything beneath it.  The
+ * tree is walked depth-first, one directory at a time: objects are deleted
+ * through a Queue with up to `options.concurrency` deletes in flight, and each
+ * directory is deleted once everything in it is gone.  A directory whose count
+ * (see getDirectoryCount) is still non-zero at that point, for example because
+ * something was written into it in the meantime, fails the operation with a
+ * DirectoryNotEmptyError.  A top-level /:uuid/stor directory is emptied, but
+ * not deleted itself.
+ *
+ * Returns an EventEmitter which emits 'progress' with running totals of the
+ * objects, directories and bytes deleted, and then either 'end' with the final
+ * totals or 'error'.  With `options.dryRun`, nothing is deleted, and the
+ * totals describe what would have been.
+ *
+ * Deleting a tree is resumable: entries removed before a failure are simply
+ * not found again, and entries that have disappeared in the meantime are
+ * ignored, so the same call can be repeated until it succeeds.
+ */
+Moray.prototype.deleteTree = function deleteTree(options) {
+    assert.object(options, 'options');
+    assert.string(options.directory, 'options.directory');
+    assert.string(options.requestId, 'options.requestId');
+    assert.optionalNumber(options.concurrency, 'options.concurrency');
+    assert.optionalBool(options.dryRun, 'options.dryRun');
+    assert.optionalBool(options.snapLinksDisabled,
+        'options.snapLinksDisabled');
+    assert.optionalBool(options.checkLastReference,
+        'options.checkLastReference');
+
+    if (this.readOnly && !options.dryRun) {
+        throw new assert.AssertionError({
+            message: 'Operation deleteTree ' +
+                'not supported in a read-only client'
+        });
+    }
+
+    if (!this.client)
+        throw new Error('not connected');
+
+    var dir = options.directory;
+    var failed = null;
+    var log = this.log;
+    var res = new EventEmitter();
+    var self = this;
+    var stats = {
+        objects: 0,
+        directories: 0,
+        bytes: 0
+    };
+    var queue = createQueue({
+        limit: options.concurrency || DELETE_TREE_CONCURRENCY,
+        worker: function deleteObject(md, cb) {
+            /* Let the walk notice the failure rather than the Queue. */
+            if (failed) {
+                cb();
+                return;
+            }
+
+            remove(md, function (err) {
+                if (err) {
+                    failed = err;
+                } else {
+                    stats.objects++;
+                    stats.bytes += md.contentLength || 0;
+                    res.emit('progress', jsprim.deepCopy(stats));
+                }
+                cb();
+            });
+        }
+    });
+
+    function remove(md, cb) {
+        if (options.dryRun) {
+            setImmediate(cb);
+            return;
+        }
+
+        self.delMetadata({
+            key: md.key,
+            requestId: options.requestId,
+            previousMetadata: md,
+            snapLinksDisabled: options.snapLinksDisabled,
+            checkLastReference: options.checkLastReference
+        }, function (err) {
+            /* Already gone, most likely through an earlier attempt. */
+            if (err && err.name === 'ObjectNotFoundError')
+                err = null;
+            cb(err);
+        });
+    }
+
+    /* Waits for all of the object deletes issued so far. */
+    function settle(cb) {
+        function done() {
+            cb(failed);
+        }
+
+        if (queue.dispatched === 0 && queue.queue.length === 0) {
+            setImmediate(done);
+        } else {
+            queue.once('drain', done);
+        }
+    }
+
+    function rmdir(md, cb) {
+        settle(function (err) {
+            if (err || options.dryRun) {
+                finish(err);
+                return;
+            }
+
+            self.getDirectoryCount({
+                directory: md.key,
+                requestId: options.requestId
+            }, function (err2, count) {
+                if (err2 && err2.name !== 'ObjectNotFoundError') {
+                    cb(err2);
+                } else if (!err2 && count > 0) {
+                    cb(new errors.DirectoryNotEmptyError(md.key));
+                } else {
+                    remove(md, finish);
+                }
+            });
+        });
+
+        function finish(err) {
+            if (!err) {
+                stats.directories++;
+                res.emit('progress', jsprim.deepCopy(stats));
+            }
+            cb(err);
+        }
+    }
+
+    function walk(d, cb) {
+        var marker = null;
+
+        (function nextPage() {
+            var entries = [];
+            var filter = sprintf('(dirname=%s)', escapeFilterValue(d));
+            if (ROOT_RE.test(d))
+                filter += sprintf('(!(_key=%s))', escapeFilterValue(d));
+            if (marker)
+                filter += markerFilter(marker, 'name', 'ASC');
+            filter = '(&' + filter + ')';
+
+            var req = self.search({
+                filter: filter,
+                hashkey: d,
+                limit: LIST_LIMIT,
+                no_count: true,
+                requestId: options.requestId,
+                sort: {
+                    attribute: 'name',
+                    order: 'ASC'
+                }
+            });
+            req.on('record', function (obj) {
+                entries.push(obj.value);
+            });
+            req.once('error', cb);
+            req.once('end', function () {
+                if (entries.length === 0) {
+                    settle(cb);
+                    return;
+                }
+                marker = entries[entries.length - 1].name;
+
+                var dirs = entries.filter(function (md) {
+                    if (md.type === 'directory')
+                        return (true);
+                    queue.push(md);
+                    return (false);
+                });
+
+                vasync.forEachPipeline({
+                    inputs: dirs,
+                    func: function deleteDirectory(md, next) {
+                        walk(md.key, function (err) {
+                            if (err) {
+                                next(err);
+                            } else {
+                                rmdir(md, next);
+                            }
+                        });
+                    }
+                }, function (err) {
+                    if (err) {
+                        cb(err);
+                    } else if (failed || entries.length < LIST_LIMIT) {
+                        settle(cb);
+                    } else {
+                        nextPage();
+                    }
+                });
+            });
+        })();
+    }
+
+    log.debug({
+        dir: dir,
+        dryRun: options.dryRun,
+        requestId: options.requestId
+    }, 'Moray.deleteTree: entered');
+
+    walk(dir, function (err) {
+        if (!err && !ROOT_RE.test(dir)) {
+            rmdir({
+                key: dir,
+                type: 'directory'
+            }, done);
+        } else {
+            done(err);
+        }
+    });
+
+    function done(err) {
+        queue.close();
+
+        if (err) {
+            log.debug({
+                err: err,
+                dir: dir,
+                stats: stats,
+                requestId: options.requestId
+            }, 'Moray.deleteTree: error');
+            res.emit('error', err);
+        } else {
+            log.debug({
+                dir: dir,
+                stats: stats,
+                requestId: options.requestId
+            }, 'Moray.deleteTree: done');
+            res.emit('end', stats);
+        }
+    }
+
+    return (res);
+};
+
+
+
+/*
+ * Finds the live keys in the manta bucket that reference `options.objectId`,
+ * through the objectId index: the object itself and any snaplinks to it.  The
+ * callback gets a list of references with the `key`, `owner` and `creator` of
+ * each record, and the key it was linked from (`createdFrom`), if any.
+ *
+ * This only covers the shard that the search lands on, while snaplinks in
+ * other directories are usually on other shards.  To find every reference (as
+ * garbage collection and audits need to), use ShardedMoray.findReferences,
+ * which asks every shard.
+ */
+Moray.prototype.findReferences = function findReferences(options, cb) {
+    assert.object(options, 'options');
+    assert.string(options.objectId, 'options.objectId');
+    assert.string(options.requestId, 'options.requestId');
+    assert.func(cb, 'callback');
+
+    cb = once(cb);
+
+    if (!this.client) {
+        setImmediate(function () {
+            cb(new Error('not connected'));
+        });
+        return;
+    }
+
+    var log = this.log;
+    var objectId = escapeFilterValue(options.objectId);
+    var refs = [];
+    var self = this;
+
+    log.debug({
+        objectId: options.objectId,
+        requestId: options.requestId
+    }, 'Moray.findReferences: entered');
+
+    (function nextPage(marker) {
+        var filter = sprintf('(objectId=%s)', objectId);
+        var last = null;
+        var count = 0;
+
+        if (marker) {
+            filter = sprintf('(&%s(_key>=%s)(!(_key=%s)))', filter,
+                escapeFilterValue(marker), escapeFilterValue(marker));
+        }
+
+        var req = self.search({
+            filter: filter,
+            limit: LIST_MAX_LIMIT,
+            no_count: true,
+            requestId: options.requestId,
+            sort: {
+                attribute: '_key',
+                order: 'ASC'
+            }
+        });
+        req.on('record', function (obj) {
+            var md = obj.value;
+
+            count++;
+            last = obj.key;
+            refs.push({
+                key: md.key,
+                owner: md.owner,
+                creator: md.creator,
+                createdFrom: md.createdFrom
+            });
+        });
+        req.once('error', function (err) {
+            log.debug({
+                err: err,
+                objectId: options.objectId,
+                requestId: options.requestId
+            }, 'Moray.findReferences: error');
+            cb(err);
+        });
+        req.once('end', function () {
+            if (count === LIST_MAX_LIMIT) {
+                nextPage(last);
+                return;
+            }
+
+            log.debug({
+                objectId: options.objectId,
+                references: refs.length,
+                requestId: options.requestId
+            }, 'Moray.findReferences: done');
+            cb(null, refs);
+        });
+    })();
+};
+
+/*
+ * The delete log consumer API: readDeleteLog and ackDeleteLog let garbage
+ * collectors walk the entries that recordDeleteLog writes into the delete log
+ * (the default) or the fastdelete queue, chosen with `options.bucket`.
+ */
+function deleteLogBucket(buckets, options) {
+    var bucket = options.bucket || buckets.deleteLog;
+
+    assert.ok(bucket === buckets.deleteLog ||
+        bucket === buckets.fastdeleteQueue,
+        'options.bucket must be the delete log or fastdelete queue bucket');
+
+    return (bucket);
+}
+
+
+/*
+ * Reads up to `options.limit` entries, oldest first, after `options.marker`
+ * (as handed out by a previous call).  Returns an EventEmitter which emits
+ * 'entry' for each of them, with the previous metadata recordDeleteLog stored
+ * for the object as `metadata`, and then 'end' with the marker for the next
+ * batch (null if there are no more entries), or 'error'.
+ */
+Moray.prototype.readDeleteLog = function readDeleteLog(options) {
+    assert.object(options, 'options');
+    assert.optionalString(options.bucket, 'options.bucket');
+    assert.optionalString(options.marker, 'options.marker');
+    assert.optionalNumber(options.limit, 'options.limit');
+    assert.string(options.requestId, 'options.requestId');
+
+    if (!this.client)
+        throw new Error('not connected');
+
+    var bucket = deleteLogBucket(this.buckets, options);
+    var limit = Math.min(options.limit || LIST_LIMIT, LIST_MAX_LIMIT);
+    var log = this.log;
+    var res = new EventEmitter();
+    var filter = '(_mtime>=0)';
+    var marker, key, req;
+
+    /* Markers are "<_mtime>/<_key>" of the last entry returned. */
+    if (options.marker) {
+        marker = parseMtimeMarker(options.marker);
+        if (marker === null) {
+            setImmediate(function () {
+                res.emit('error',
+                    new errors.InvalidMarkerError(options.marker));
+            });
+            return (res);
+        }
+
+        key = escapeFilterValue(marker.rest);
+        filter = sprintf('(|(&(_mtime>=%d)(!(_mtime=%d)))' +
+            '(&(_mtime=%d)(_key>=%s)(!(_key=%s))))',
+            marker.mtime, marker.mtime, marker.mtime, key, key);
+    }
+
+    log.debug({
+        bucket: bucket,
+        filter: filter,
+        requestId: options.requestId
+    }, 'Moray.readDeleteLog: entered');
+
+    var count = 0;
+    var last = null;
+    var more = false;
+
+    req = this.client.findObjects(bucket, filter, {
+        limit: limit + 1,
+        no_count: true,
+        req_id: options.requestId,
+        sort: [
+            { attribute: '_mtime', order: 'ASC' },
+            { attribute: '_key', order: 'ASC' }
+        ]
+    });
+    req.on('record', function (obj) {
+        if (++count > limit) {
+            more = true;
+            return;
+        }
+
+        var md = obj.value;
+        if (typeof (md) === 'string')
+            md = JSON.parse(md);
+
+        last = obj;
+        res.emit('entry', {
+            bucket: bucket,
+            key: obj.key,
+            objectId: md.objectId,
+            mtime: obj._mtime,
+            metadata: md
+        });
+    });
+    req.once('error', function (err) {
+        log.debug({
+            err: err,
+            bucket: bucket,
+            requestId: options.requestId
+        }, 'Moray.readDeleteLog: error');
+        res.emit('error', err);
+    });
+    req.once('end', function () {
+        var next = more ? sprintf('%d/%s', last._mtime, last.key) : null;
+
+        log.debug({
+            bucket: bucket,
+            entries: Math.min(count, limit),
+            next: next,
+            requestId: options.requestId
+        }, 'Moray.readDeleteLog: done');
+        res.emit('end', next);
+    });
+
+    return (res);
+};
+
+
+/*
+ * Removes the delete log (or fastdelete queue) entries with the given `keys`,
+ * as read by readDeleteLog, in a single Moray batch.  Keys that have already
+ * been removed are ignored.
+ */
+Moray.prototype.ackDeleteLog = function ackDeleteLog(options, cb) {
+    assert.object(options, 'options');
+    assert.optionalString(options.bucket, 'options.bucket');
+    assert.arrayOfString(options.keys, 'options.keys');
+    assert.string(options.requestId, 'options.requestId');
+    assert.func(cb, 'callback');
+
+    if (this.readOnly) {
+        throw new assert.AssertionError({
+            message: 'Operation ackDeleteLog ' +
+                'not supported in a read-only client'
+        });
+    }
+
+    cb = once(cb);
+
+    if (unavailable(this, cb))
+        return;
+    cb = track(this, cb);
+
+    if (!this.client) {
+        setImmediate(function () {
+            cb(new Error('not connected'));
+        });
+        return;
+    }
+
+    if (options.keys.length === 0) {
+        setImmediate(cb);
+        return;
+    }
+
+    var bucket = deleteLogBucket(this.buckets, options);
+    var log = this.log;
+    var filter = '(|' + options.keys.map(function (k) {
+        return (sprintf('(_key=%s)', escapeFilterValue(k)));
+    }).join('') + ')';
+
+    log.debug({
+        bucket: bucket,
+        keys: options.keys,
+        requestId: options.requestId
+    }, 'Moray.ackDeleteLog: entered');
+
+    this.client.batch([ {
+        bucket: bucket,
+        operation: 'deleteMany',
+        filter: filter
+    } ], { req_id: options.requestId }, function (err) {
+        if (err) {
+            log.debug({
+                err: err,
+                bucket: bucket,
+                requestId: options.requestId
+            }, 'Moray.ackDeleteLog: error');
+            cb(err);
+        } else {
+            log.debug({
+                bucket: bucket,
+                requestId: options.requestId
+            }, 'Moray.ackDeleteLog: done');
+            cb();
+        }
+    });
+};
+
+
+/*
+ * Object versions: when a client is created with `versions: true`, putMetadata
+ * and delMetadata accept `versioned: true` (for keys in an owner's versioned
+ * directories), which keeps the superseded metadata in the versions bucket
+ * rather than sending its object to the delete log.  The methods below read,
+ * restore and prune those versions.
+ */
+function assertEnabled(client, option, op) {
+    if (!client[option]) {
+        throw new assert.AssertionError({
+            message: 'Operation ' + op + ' requires a client created with ' +
+                option + ': true'
+        });
+    }
+}
+
+
+/*
+ * Lists the versions kept for `options.key`, newest first (at most
+ * `options.limit` of them).  Each is the superseded metadata, with its
+ * `versionId`.
+ */
+Moray.prototype.listVersions = function listVersions(options, cb) {
+    assert.object(options, 'options');
+    assert.string(options.key, 'options.key');
+    assert.string(options.requestId, 'options.requestId');
+    assert.optionalNumber(options.limit, 'options.limit');
+    assert.func(cb, 'callback');
+    assertEnabled(this, 'versions', 'listVersions');
+
+    cb = once(cb);
+
+    if (!this.client) {
+        setImmediate(function () {
+            cb(new Error('not connected'));
+        });
+        return;
+    }
+
+    var buckets = this.buckets;
+    var key = options.key;
+    var log = this.log;
+    var versions = [];
+
+    log.debug({
+        key: key,
+        requestId: options.requestId
+    }, 'Moray.listVersions: entered');
+
+    var req = this.client.findObjects(buckets.versions,
+        sprintf('(key=%s)', escapeFilterValue(key)), {
+        /* Versions are kept on the shard of the key they were of. */
+        hashkey: keyDirname(key),
+        limit: Math.min(options.limit || LIST_LIMIT, LIST_MAX_LIMIT),
+        no_count: true,
+        req_id: options.requestId,
+        sort: [
+            { attribute: 'mtime', order: 'DESC' },
+            { attribute: '_key', order: 'DESC' }
+        ]
+    });
+    req.on('record', function (obj) {
+        versions.push(obj.value);
+    });
+    req.once('error', function (err) {
+        log.debug({
+            err: err,
+            key: key,
+            requestId: options.requestId
+        }, 'Moray.listVersions: error');
+        cb(err);
+    });
+    req.once('end', function () {
+        log.debug({
+            key: key,
+            versions: versions.length,
+            requestId: options.requestId
+        }, 'Moray.listVersions: done');
+        cb(null, versions);
+    });
+};
+
+
+Moray.prototype.getMetadataVersion = function getMetadataVersion(options, cb) {
+    assert.object(options, 'options');
+    assert.string(options.key, 'options.key');
+    assert.string(options.versionId, 'options.versionId');
+    assert.string(options.requestId, 'options.requestId');
+    assert.func(cb, 'callback');
+    assertEnabled(this, 'versions', 'getMetadataVersion');
+
+    cb = once(cb);
+
+    if (!this.client) {
+        setImmediate(function () {
+            cb(new Error('not connected'));
+        });
+        return;
+    }
+
+    var buckets = this.buckets;
+    var key = options.key + '@' + options.versionId;
+    var log = this.log;
+    var opts = {
+        req_id: options.requestId,
+        noCache: true
+    };
+
+    log.debug({
+        key: key,
+        requestId: options.requestId
+    }, 'Moray.getMetadataVersion: entered');
+
+    this.client.getObject(buckets.versions, key, opts, function (err, obj) {
+        if (err) {
+            log.debug({
+                err: err,
+                key: key,
+                requestId: options.requestId
+            }, 'Moray.getMetadataVersion: error');
+            cb(err);
+        } else {
+            log.debug({
+                key: key,
+                requestId: options.requestId
+            }, 'Moray.getMetadataVersion: done');
+            cb(null, obj.value, obj);
+        }
+    });
+};
+
+
+/*
+ * Makes version `options.versionId` the current metadata for `options.key`
+ * again, with a new mtime.  In the same batch, the version is removed from the
+ * versions bucket and the metadata it replaces (if any) is kept as a version in
+ * turn, so nothing is sent to the delete log.
+ */
+Moray.prototype.restoreVersion = function restoreVersion(options, cb) {
+    assert.object(options, 'options');
+    assert.string(options.key, 'options.key');
+    assert.string(options.versionId, 'options.versionId');
+    assert.string(options.requestId, 'options.requestId');
+    assert.func(cb, 'callback');
+    assertEnabled(this, 'versions', 'restoreVersion');
+
+    if (this.readOnly) {
+        throw new assert.AssertionError({
+            message: 'Operation restoreVersion ' +
+                'not supported in a read-only client'
+        });
+    }
+
+    cb = once(cb);
+    cb = invalidating(this, [options.key], cb);
+
+    if (unavailable(this, cb))
+        return;
+    cb = track(this, cb);
+
+    if (!this.client) {
+        setImmediate(function () {
+            cb(new Error('not connected'));
+        });
+        return;
+    }
+
+    var buckets = this.buckets;
+    var client = this.client;
+    var key = options.key;
+    var log = this.log;
+    var vkey = key + '@' + options.versionId;
+    var opts = {
+        req_id: options.requestId,
+        noCache: true
+    };
+
+    log.debug({
+        key: key,
+        versionId: options.versionId,
+        requestId: options.requestId
+    }, 'Moray.restoreVersion: entered');
+
+    function restore(_cb) {
+        var version;
+
+        vasync.waterfall([
+            function getVersion(next) {
+                client.getObject(buckets.versions, vkey, opts,
+                    function (err, obj) {
+                    version = obj;
+                    next(err);
+                });
+            },
+            function getCurrent(next) {
+                client.getObject(buckets.manta, key, opts, function (err, obj) {
+                    if (err && err.name === 'ObjectNotFoundError') {
+                        next(null, null);
+                    } else {
+                        next(err, obj);
+                    }
+                });
+            },
+            function write(current, next) {
+                var md = clone(version.value);
+                delete md.versionId;
+                md.mtime = Date.now();
+
+                var requests = [ {
+                    bucket: buckets.manta,
+                    key: key,
+                    operation: 'put',
+                    value: md,
+                    options: {
+                        etag: current ? current._etag : null
+                    }
+                }, {
+                    bucket: buckets.versions,
+                    key: vkey,
+                    operation: 'delete',
+                    options: {
+                        etag: version._etag
+                    }
+                } ];
+
+                if (current && supersedesObject(current.value, md))
+                    requests.push(versionRequest(buckets, key,
+                        current.value));
+
+                client.batch(requests, opts, function (err) {
+                    next(err, md);
+                });
+            }
+        ], _cb);
+    }
+
+    withRetry({
+        policy: this.retryPolicy,
+        log: log,
+        op: 'restoreVersion',
+        key: key,
+        requestId: options.requestId,
+        /* One of the records changed after we read it, so start over. */
+        retryable: function (err) {
+            return (err.name === 'EtagConflictError');
+        }
+    }, restore, function (err, md) {
+        if (err) {
+            log.debug({
+                err: err,
+                key: key,
+                versionId: options.versionId,
+                requestId: options.requestId
+            }, 'Moray.restoreVersion: error');
+            cb(err);
+        } else {
+            log.debug({
+                key: key,
+                metadata: md,
+                requestId: options.requestId
+            }, 'Moray.restoreVersion: done');
+            cb(null, md);
+        }
+    });
+};
+
+
+/*
+ * Calls back with the set of objectIds, among those of `pruned` (versions
+ * being removed, by their key in the versions bucket), that are still
+ * referenced by a record in the manta bucket or by a version that is kept.
+ * This only searches the shard of `dirname`, where the versions live, so
+ * references from keys in other directories (snaplinks) are usually missed.
+ */
+function referencedObjects(client, buckets, dirname, pruned, requestId, cb) {
+    var ids = {};
+    var referenced = {};
+    var filter;
+
+    Object.keys(pruned).forEach(function (k) {
+        ids[pruned[k].objectId] = true;
+    });
+    filter = '(|' + Object.keys(ids).map(function (id) {
+        return (sprintf('(objectId=%s)', escapeFilterValue(id)));
+    }).join('') + ')';
+
+    vasync.forEachPipeline({
+        inputs: [ buckets.manta, buckets.versions ],
+        func: function (bucket, next) {
+            next = once(next);
+
+            var req = client.findObjects(bucket, filter, {
+                hashkey: dirname,
+                no_count: true,
+                req_id: requestId
+            });
+            req.on('record', function (obj) {
+                if (bucket === buckets.manta ||
+                    !pruned.hasOwnProperty(obj.key)) {
+                    referenced[obj.value.objectId] = true;
+                }
+            });
+            req.once('error', next);
+            req.once('end', function () {
+                next();
+            });
+        }
+    }, function (err) {
+        cb(err, referenced);
+    });
+}
+
+
+/*
+ * Removes all but the newest `options.keep` (default 0) versions of
+ * `options.key`, in a single batch.  Their objects then go to the delete log,
+ * unless the current metadata of a key or a version that is kept still
+ * references them.  That check only sees the shard the versions are on (see
+ * referencedObjects), so objects are never sent to the fastdelete queue, even
+ * for accounts with snaplinks disabled: garbage collection checks objects in
+ * the delete log for references on every shard before removing them.  The
+ * callback gets the versions removed.  Only the newest LIST_MAX_LIMIT versions
+ * are looked at, so keys with more versions than that take several calls.
+ */
+Moray.prototype.pruneVersions = function pruneVersions(options, cb) {
+    assert.object(options, 'options');
+    assert.string(options.key, 'options.key');
+    assert.string(options.requestId, 'options.requestId');
+    assert.optionalNumber(options.keep, 'options.keep');
+    assert.func(cb, 'callback');
+    assertEnabled(this, 'versions', 'pruneVersions');
+
+    if (this.readOnly) {
+        throw new assert.AssertionError({
+            message: 'Operation pruneVersions ' +
+                'not supported in a read-only client'
+        });
+    }
+
+    var buckets = this.buckets;
+    var client = this.client;
+    var key = options.key;
+    var log = this.log;
+
+    cb = once(cb);
+
+    if (unavailable(this, cb))
+        return;
+    cb = track(this, cb);
+
+    this.listVersions({
+        key: key,
+        limit: LIST_MAX_LIMIT,
+        requestId: options.requestId
+    }, function (err, versions) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        var pruned = versions.slice(options.keep || 0);
+        if (pruned.length === 0) {
+            cb(null, pruned);
+            return;
+        }
+
+        var byKey = {};
+        pruned.forEach(function (v) {
+            byKey[key + '@' + v.versionId] = v;
+        });
+
+        referencedObjects(client, buckets, keyDirname(key), byKey,
+            options.requestId, function (err2, referenced) {
+            if (err2) {
+                done(err2);
+                return;
+            }
+
+            /* Send each object no longer in use to the delete log once. */
+            var logged = {};
+            client.batch(Object.keys(byKey).map(function (k) {
+                var v = byKey[k];
+                var req = {
+                    bucket: buckets.versions,
+                    key: k,
+                    operation: 'delete',
+                    options: {}
+                };
+
+                if (!referenced[v.objectId] && !logged[v.objectId]) {
+                    logged[v.objectId] = true;
+                    req.options.headers = deleteLogHeaders({
+                        previousMetadata: v
+                    }, false, buckets);
+                }
+
+                return (req);
+            }), { req_id: options.requestId }, done);
+        });
+
+        function done(err2) {
+            if (err2) {
+                log.debug({
+                    err: err2,
+                    key: key,
+                    requestId: options.requestId
+                }, 'Moray.pruneVersions: error');
+                cb(err2);
+            } else {
+                log.debug({
+                    key: key,
+                    pruned: pruned.length,
+                    requestId: options.requestId
+                }, 'Moray.pruneVersions: done');
+                cb(null, pruned);
+            }
+        }
+    });
+};
+
+
+/*
+ * Trash: when a client is created with `trash: true`, delMetadata accepts
+ * `trash: true`, which moves the deleted metadata into the trash bucket with
+ * its deletion time (`deletedAt`) and expiry (`expires`, `trashTtl` later)
+ * rather than sending its object to the delete log.  Until it expires, it can
+ * be listed and restored; sweepTrash then removes it for good.
+ *
+ * listTrash lists what `options.owner` has in the trash (only for
+ * `options.key`, if given), most recently deleted first.  Each entry is the
+ * deleted metadata, with its `trashId`, `deletedAt` and `expires`.  Trash is
+ * kept on the shard of the deleted key's directory, which is searched when
+ * `options.key` is given.  Without it, the search only covers one shard:
+ * through electric-moray, list each shard's trash with a client for that
+ * shard (such as those in a ShardedMoray's `shards`) instead.
+ */
+Moray.prototype.listTrash = function listTrash(options, cb) {
+    assert.object(options, 'options');
+    assert.string(options.owner, 'options.owner');
+    assert.optionalString(options.key, 'options.key');
+    assert.string(options.requestId, 'options.requestId');
+    assert.optionalNumber(options.limit, 'options.limit');
+    assert.func(cb, 'callback');
+    assertEnabled(this, 'trash', 'listTrash');
+
+    cb = once(cb);
+
+    if (!this.client) {
+        setImmediate(function () {
+            cb(new Error('not connected'));
+        });
+        return;
+    }
+
+    var buckets = this.buckets;
+    var entries = [];
+    var filter = sprintf('(owner=%s)', escapeFilterValue(options.owner));
+    var log = this.log;
+
+    if (options.key) {
+        filter = sprintf('(&%s(key=%s))', filter,
+            escapeFilterValue(options.key));
+    }
+
+    log.debug({
+        filter: filter,
+        requestId: options.requestId
+    }, 'Moray.listTrash: entered');
+
+    var req = this.client.findObjects(buckets.trash, filter, {
+        hashkey: options.key ? keyDirname(options.key) : undefined,
+        limit: Math.min(options.limit || LIST_LIMIT, LIST_MAX_LIMIT),
+        no_count: true,
+        req_id: options.requestId,
+        sort: [
+            { attribute: 'deletedAt', order: 'DESC' },
+            { attribute: '_key', order: 'DESC' }
+        ]
+    });
+    req.on('record', function (obj) {
+        entries.push(obj.value);
+    });
+    req.once('error', function (err) {
+        log.debug({
+            err: err,
+            filter: filter,
+            requestId: options.requestId
+        }, 'Moray.listTrash: error');
+        cb(err);
+    });
+    req.once('end', function () {
+        log.debug({
+            filter: filter,
+            entries: entries.length,
+            requestId: options.requestId
+        }, 'Moray.listTrash: done');
+        cb(null, entries);
+    });
+};
+
+
+/*
+ * Puts the metadata deleted from `options.key` as `options.trashId` back in
+ * place, and removes it from the trash.  If something has been written to the
+ * key since, this fails with an IfNoneMatchFailedError.
+ */
+Moray.prototype.restoreFromTrash = function restoreFromTrash(options, cb) {
+    assert.object(options, 'options');
+    assert.string(options.key, 'options.key');
+    assert.string(options.trashId, 'options.trashId');
+    assert.string(options.requestId, 'options.requestId');
+    assert.func(cb, 'callback');
+    assertEnabled(this, 'trash', 'restoreFromTrash');
+
+    if (this.readOnly) {
+        throw new assert.AssertionError({
+            message: 'Operation restoreFromTrash ' +
+                'not supported in a read-only client'
+        });
+    }
+
+    cb = once(cb);
+    cb = invalidating(this, [options.key], cb);
+
+    if (unavailable(this, cb))
+        return;
+    cb = track(this, cb);
+
+    if (!this.client) {
+        setImmediate(function () {
+            cb(new Error('not connected'));
+        });
+        return;
+    }
+
+    var buckets = this.buckets;
+    var client = this.client;
+    var key = options.key;
+    var log = this.log;
+    var tkey = key + '@' + options.trashId;
+    var opts = {
+        req_id: options.requestId,
+        noCache: true
+    };
+
+    log.debug({
+        key: key,
+        trashId: options.trashId,
+        requestId: options.requestId
+    }, 'Moray.restoreFromTrash: entered');
+
+    function restore(_cb) {
+        client.getObject(buckets.trash, tkey, opts, function (err, obj) {
+            if (err) {
+                _cb(err);
+                return;
+            }
+
+            var md = untrash(obj.value);
+            client.batch([ {
+                bucket: buckets.manta,
+                key: key,
+                operation: 'put',
+                value: md,
+                options: {
+                    etag: null
+                }
+            }, {
+                bucket: buckets.trash,
+                key: tkey,
+                operation: 'delete',
+                options: {
+                    etag: obj._etag
+                }
+            } ], opts, function (err2) {
+                _cb(err2, md);
+            });
+        });
+    }
+
+    withRetry({
+        policy: this.retryPolicy,
+        log: log,
+        op: 'restoreFromTrash',
+        key: key,
+        requestId: options.requestId,
+        conditional: true
+    }, restore, function (err, md) {
+        if (err && err.name === 'EtagConflictError') {
+            /* Either the key exists again or someone else restored it. */
+            client.getObject(buckets.manta, key, opts, function (err2) {
+                if (!err2) {
+                    cb(new errors.IfNoneMatchFailedError(err, key));
+                } else {
+                    cb(err);
+                }
+            });
+        } else if (err) {
+            log.debug({
+                err: err,
+                key: key,
+                trashId: options.trashId,
+                requestId: options.requestId
+            }, 'Moray.restoreFromTrash: error');
+            cb(err);
+        } else {
+            log.debug({
+                key: key,
+                metadata: md,
+                requestId: options.requestId
+            }, 'Moray.restoreFromTrash: done');
+            cb(null, md);
+        }
+    });
+};
+
+
+/*
+ * Permanently removes up to `options.limit` entries whose time in the trash
+ * has run out, in a single batch, and calls back with them.  Their objects then
+ * go through the delete log like any other deleted object.  This is meant to be
+ * run periodically, and again right away while it returns a full batch.
+ *
+ * This sweeps a single shard: through electric-moray, trash on the other
+ * shards would never be swept.  Run it against a client for each shard (such
+ * as those in a ShardedMoray's `shards`) instead.
+ */
+Moray.prototype.sweepTrash = function sweepTrash(options, cb) {
+    assert.object(options, 'options');
+    assert.string(options.requestId, 'options.requestId');
+    assert.optionalNumber(options.limit, 'options.limit');
+    assert.optionalBool(options.snapLinksDisabled,
+        'options.snapLinksDisabled');
+    assert.func(cb, 'callback');
+    assertEnabled(this, 'trash', 'sweepTrash');
+
+    if (this.readOnly) {
+        throw new assert.AssertionError({
+            message: 'Operation sweepTrash ' +
+                'not supported in a read-only client'
+        });
+    }
+
+    cb = once(cb);
+
+    if (unavailable(this, cb))
+        return;
+    cb = track(this, cb);
+
+    if (!this.client) {
+        setImmediate(function () {
+            cb(new Error('not connected'));
+        });
+        return;
+    }
+
+    var buckets = this.buckets;
+    var client = this.client;
+    var expired = [];
+    var log = this.log;
+    var filter = sprintf('(expires<=%d)', Date.now());
+
+    log.debug({
+        filter: filter,
+        requestId: options.requestId
+    }, 'Moray.sweepTrash: entered');
+
+    var req = client.findObjects(buckets.trash, filter, {
+        limit: Math.min(options.limit || LIST_LIMIT, LIST_MAX_LIMIT),
+        no_count: true,
+        req_id: options.requestId,
+        sort: {
+            attribute: 'expires',
+            order: 'ASC'
+        }
+    });
+    req.on('record', function (obj) {
+        expired.push(obj);
+    });
+    req.once('error', done);
+    req.once('end', function () {
+        if (expired.length === 0) {
+            done(null);
+            return;
+        }
+
+        client.batch(expired.map(function (obj) {
+            return ({
+                bucket: buckets.trash,
+                key: obj.key,
+                operation: 'delete',
+                options: {
+                    etag: obj._etag,
+                    headers: deleteLogHeaders({
+                        previousMetadata: untrash(obj.value),
+                        snapLinksDisabled: options.snapLinksDisabled
+                    }, false, buckets)
+                }
+            });
+        }), { req_id: options.requestId }, done);
+    });
+
+    function done(err) {
+        if (err) {
+            log.debug({
+                err: err,
+                requestId: options.requestId
+            }, 'Moray.sweepTrash: error');
+            cb(err);
+        } else {
+            log.debug({
+                swept: expired.length,
+                requestId: options.requestId
+            }, 'Moray.sweepTrash: done');
+            cb(null, expired.map(function (obj) {
+                return (obj.value);
+            }));
+        }
+    }
+};
+
+
+/*
+ * Fetches the definition of each bucket this client manages and compares it
+ * with what libmanta expects (see mantaBucketDefinitions), since setup leaves
+ * a bucket alone when it has a newer version, and never reindexes.  Calls
+ * back with a report:
+ *
+ *     {
+ *         drift: true,
+ *         buckets: [ {
+ *             bucket: 'manta',
+ *             exists: true,
+ *             version: 3,
+ *             expectedVersion: 4,
+ *             versionDrift: 'older',       // or 'newer', or null
+ *             missingIndexes: [ 'type' ],
+ *             extraIndexes: [],
+ *             changedIndexes: [],          // indexed with another type
+ *             postHooksMatch: false,
+ *             drift: true
+ *         }, ... ]
+ *     }
+ *
+ * With `options.strict`, drift is instead reported as a BucketDriftError, with
+ * the report as its `report`, so services can refuse to start.
+ */
+Moray.prototype.checkBuckets = function checkBuckets(options, cb) {
+    if (typeof (options) === 'function') {
+        cb = options;
+        options = {};
+    }
+    assert.object(options, 'options');
+    assert.optionalString(options.requestId, 'options.requestId');
+    assert.optionalBool(options.strict, 'options.strict');
+    assert.func(cb, 'callback');
+
+    if (!this.client) {
+        setImmediate(function () {
+            cb(new Error('not connected'));
+        });
+        return;
+    }
+
+    var client = this.client;
+    var log = this.log;
+    var opts = {
+        req_id: options.requestId
+    };
+    var defs = mantaBucketDefinitions({
+        buckets: this.buckets,
+        versions: this.versions,
+        trash: this.trash
+    });
+
+    log.debug({
+        requestId: opts.req_id
+    }, 'Moray.checkBuckets: entered');
+
+    vasync.forEachParallel({
+        inputs: defs,
+        func: function check(def, next) {
+            client.getBucket(def.bucket, opts, function (err, bucket) {
+                if (err && VError.hasCauseWithName(err,
+                    'BucketNotFoundError')) {
+                    next(null, bucketDrift(def, null));
+                } else if (err) {
+                    next(err);
+                } else {
+                    next(null, bucketDrift(def, bucket));
+                }
+            });
+        }
+    }, function (err, results) {
+        if (err) {
+            log.debug({
+                err: err,
+                requestId: opts.req_id
+            }, 'Moray.checkBuckets: error');
+            cb(err);
+            return;
+        }
+
+        var report = {
+            drift: false,
+            buckets: results.successes
+        };
+        var drifted = report.buckets.filter(function (b) {
+            return (b.drift);
+        }).map(function (b) {
+            return (b.bucket);
+        });
+        report.drift = drifted.length > 0;
+
+        log.debug({
+            report: report,
+            requestId: opts.req_id
+        }, 'Moray.checkBuckets: done');
+
+        if (report.drift && options.strict) {
+            var err2 = new errors.BucketDriftError(drifted);
+            err2.report = report;
+            cb(err2);
+        } else {
+            cb(null, report);
+        }
+    });
+};
+
+
+/*
+ * Works out, without changing anything, what setting up the database (as a
+ * read-write client does when it connects) would do, and calls back with:
+ *
+ *     {
+ *         changes: true,
+ *         buckets: [ {
+ *             bucket: 'manta',
+ *             action: 'upgrade',       // 'create', 'upgrade', 'skip' (the
+ *                                      // bucket is newer) or 'none'
+ *             version: 3,              // null if it does not exist
+ *             targetVersion: 4,
+ *             addIndexes: []           // indexes a create or upgrade adds
+ *         }, ... ],
+ *         trigger: {
+ *             table: 'manta',
+ *             trigger: 'count_directories',
+ *             procname: 'count_manta_directories',
+ *             action: 'none',          // 'install', 'replace' or 'none'
+ *             version: 3,              // installed version, or null
+ *             targetVersion: 3
+ *         }
+ *     }
+ */
+Moray.prototype.planSetup = function planSetup(options, cb) {
+    if (typeof (options) === 'function') {
+        cb = options;
+        options = {};
+    }
+    assert.object(options, 'options');
+    assert.optionalString(options.requestId, 'options.requestId');
+    assert.func(cb, 'callback');
+
+    if (!this.client) {
+        setImmediate(function () {
+            cb(new Error('not connected'));
+        });
+        return;
+    }
+
+    var buckets = this.buckets;
+    var client = this.client;
+    var log = this.log;
+    var opts = {
+        req_id: options.requestId
+    };
+    var plan = {
+        changes: false,
+        buckets: null,
+        trigger: null
+    };
+    var self = this;
+
+    log.debug({
+        requestId: opts.req_id
+    }, 'Moray.planSetup: entered');
+
+    vasync.waterfall([
+        function bucketPlan(next) {
+            planBuckets(client, mantaBucketDefinitions({
+                buckets: buckets,
+                versions: self.versions,
+                trash: self.trash
+            }), opts, next);
+        },
+        function readTrigger(bplan, next) {
+            plan.buckets = bplan;
+            readDircountSql(log, buckets, next);
+        },
+        function triggerPlan(sql, next) {
+            planTrigger(client, sql, opts, next);
+        }
+    ], function (err, tplan) {
+        if (err) {
+            log.debug({
+                err: err,
+                requestId: opts.req_id
+            }, 'Moray.planSetup: error');
+            cb(new VError(err, 'planSetup'));
+            return;
+        }
+
+        plan.trigger = tplan;
+        plan.changes = tplan.action !== 'none' ||
+            plan.buckets.some(function (b) {
+            return (b.action === 'create' || b.action === 'upgrade');
+        });
+
+        log.debug({
+            plan: plan,
+            requestId: opts.req_id
+        }, 'Moray.planSetup: done');
+        cb(null, plan);
+    });
+};
+
+
+/*
+ * Describes the triggers on `options.table` (by default, the manta bucket) and
+ * the stored procedures they execute, as found in information_schema.triggers
+ * and pg_proc, and calls back with:
+ *
+ *     {
+ *         table: 'manta',
+ *         triggers: [ {
+ *             trigger: 'count_directories',
+ *             events: [ 'DELETE', 'INSERT' ],
+ *             action: 'EXECUTE PROCEDURE count_manta_directories_v3()',
+ *             procname: 'count_manta_directories',  // null if the procedure
+ *             version: 3                            // is not versioned
+ *         } ],
+ *         procedures: [ {
+ *             procname: 'count_manta_directories',
+ *             versions: [ 2, 3 ],      // every version defined
+ *             liveVersion: 3           // or null, if no trigger executes one
+ *         } ],
+ *         orphaned: [ 'count_manta_directories_v2' ]
+ *     }
+ *
+ * Procedures are versioned as by manta_update_versioned_trigger() (see
+ * trigger_update.plpgsql), which leaves older versions defined when it
+ * upgrades a trigger; those are listed in `orphaned`.  For the manta bucket,
+ * the directory-count procedure is always described, even if no trigger
+ * executes it.  `action` is reported as PostgreSQL gives it, which reads
+ * "EXECUTE FUNCTION" rather than "EXECUTE PROCEDURE" from PostgreSQL 11 on.
+ */
+Moray.prototype.getTriggerState = function getTriggerState(options, cb) {
+    if (typeof (options) === 'function') {
+        cb = options;
+        options = {};
+    }
+    assert.object(options, 'options');
+    assert.optionalString(options.table, 'options.table');
+    assert.optionalString(options.requestId, 'options.requestId');
+    assert.func(cb, 'callback');
+
+    if (!this.client) {
+        setImmediate(function () {
+            cb(new Error('not connected'));
+        });
+        return;
+    }
+
+    var buckets = this.buckets;
+    var client = this.client;
+    var log = this.log;
+    var opts = {
+        req_id: options.requestId
+    };
+    var state = {
+        table: options.table || buckets.manta,
+        triggers: [],
+        procedures: [],
+        orphaned: []
+    };
+
+    log.debug({
+        table: state.table,
+        requestId: opts.req_id
+    }, 'Moray.getTriggerState: entered');
+
+    vasync.waterfall([
+        function listTriggers(next) {
+            selectRows(client, 'SELECT event_manipulation, trigger_name, ' +
+                'action_statement FROM information_schema.triggers ' +
+                'WHERE event_object_table = $1', [ state.table ], opts, next);
+        },
+        function listProcedures(rows, next) {
+            var procnames = [];
+
+            if (state.table === buckets.manta)
+                procnames.push('count_' + buckets.manta + '_directories');
+
+            rows.forEach(function (row) {
+                var tg = state.triggers.filter(function (t) {
+                    return (t.trigger === row.trigger_name);
+                })[0];
+                var m = TRIGGER_ACTION_RE.exec(row.action_statement);
+
+                if (!tg) {
+                    tg = {
+                        trigger: row.trigger_name,
+                        events: [],
+                        action: row.action_statement,
+                        procname: m ? m[1] : null,
+                        version: m ? parseInt(m[2], 10) : null
+                    };
+                    state.triggers.push(tg);
+                }
+                tg.events.push(row.event_manipulation);
+                tg.events.sort();
+
+                if (m && procnames.indexOf(m[1]) === -1)
+                    procnames.push(m[1]);
+            });
+
+            vasync.forEachPipeline({
+                inputs: procnames,
+                func: function listVersions(procname, done) {
+                    /* "_" matches any one character in LIKE patterns. */
+                    selectRows(client, 'SELECT proname FROM pg_proc ' +
+                        'WHERE proname LIKE $1',
+                        [ procname.replace(/_/g, '\\_') + '\\_v%' ], opts,
+                        function (err, procs) {
+                        if (err) {
+                            done(err);
+                            return;
+                        }
+
+                        state.procedures.push(describeProcedure(procname,
+                            procs));
+                        done();
+                    });
+                }
+            }, function (err) {
+                next(err);
+            });
+        }
+    ], function (err) {
+        if (err) {
+            log.debug({
+                err: err,
+                requestId: opts.req_id
+            }, 'Moray.getTriggerState: error');
+            cb(new VError(err, 'getTriggerState'));
+            return;
+        }
+
+        log.debug({
+            state: state,
+            requestId: opts.req_id
+        }, 'Moray.getTriggerState: done');
+        cb(null, state);
+    });
+
+    function describeProcedure(procname, procs) {
+        var re = new RegExp('^' + procname + '_v(\\d+)$');
+        var live = state.triggers.filter(function (t) {
+            return (t.procname === procname);
+        }).map(function (t) {
+            return (t.version);
+        });
+        var versions = [];
+
+        procs.forEach(function (p) {
+            var m = re.exec(p.proname);
+            if (m)
+                versions.push(parseInt(m[1], 10));
+        });
+        versions.sort(function (a, b) {
+            return (a - b);
+        });
+
+        versions.forEach(function (v) {
+            if (live.indexOf(v) === -1)
+                state.orphaned.push(procname + '_v' + v);
+        });
+
+        return ({
+            procname: procname,
+            versions: versions,
+            liveVersion: live.length > 0 ? Math.max.apply(null, live) : null
+        });
+    }
+};
+
+
+/*
+ * Installs (or upgrades) a versioned trigger, for services that keep triggers
+ * of their own.  `options.functionSql` must define the trigger procedure,
+ * named `options.procname` with "_v" and `options.version` appended, with
+ * CREATE OR REPLACE FUNCTION.  That is run under an advisory lock, as for the
+ * directory-count trigger, and then manta_update_versioned_trigger() (see
+ * trigger_update.plpgsql) installs `options.trigger` on `options.table` unless
+ * the same or a newer version is already installed.  Concurrent installs can
+ * fail with "tuple concurrently updated"; these are retried under the client's
+ * retry policy.  Calls back with what manta_update_versioned_trigger()
+ * returned: "installed version N" or "no changes needed".
+ */
+Moray.prototype.installVersionedTrigger =
+function installVersionedTrigger(options, cb) {
+    assert.object(options, 'options');
+    assert.string(options.table, 'options.table');
+    assert.string(options.trigger, 'options.trigger');
+    assert.string(options.procname, 'options.procname');
+    assert.number(options.version, 'options.version');
+    assert.string(options.functionSql, 'options.functionSql');
+    assert.optionalString(options.requestId, 'options.requestId');
+    assert.func(cb, 'callback');
+    [ 'table', 'trigger', 'procname' ].forEach(function (k) {
+        assert.ok(BUCKET_NAME_RE.test(options[k]),
+            'options.' + k + ' must be a valid identifier');
+    });
+    assert.ok(options.version >= 0 &&
+        Math.floor(options.version) === options.version,
+        'options.version must be a non-negative integer');
+    assert.ok(options.functionSql.indexOf(
+        options.procname + '_v' + options.version + '(') !== -1,
+        'options.functionSql must define ' + options.procname + '_v' +
+        options.version + '()');
+
+    if (this.readOnly) {
+        throw new assert.AssertionError({
+            message: 'Operation installVersionedTrigger ' +
+                'not supported in a read-only client'
+        });
+    }
+
+    cb = once(cb);
+
+    if (unavailable(this, cb))
+        return;
+    cb = track(this, cb);
+
+    if (!this.client) {
+        setImmediate(function () {
+            cb(new Error('not connected'));
+        });
+        return;
+    }
+
+    var client = this.client;
+    var log = this.log;
+    var opts = {
+        req_id: options.requestId
+    };
+    var sql = versionedTriggerSql(options);
+
+    log.debug({
+        table: options.table,
+        trigger: options.trigger,
+        procname: options.procname,
+        version: options.version,
+        requestId: opts.req_id
+    }, 'Moray.installVersionedTrigger: entered');
+
+    withRetry({
+        policy: this.retryPolicy,
+        log: log,
+        op: 'installVersionedTrigger',
+        requestId: opts.req_id,
+        retryable: function (err) {
+            return (/tuple concurrently updated/.test(err.message));
+        }
+    }, function install(done) {
+        updateVersionedTriggers(log, client, sql, opts, done);
+    }, function (err, results) {
+        if (err) {
+            log.debug({
+                err: err,
+                requestId: opts.req_id
+            }, 'Moray.installVersionedTrigger: error');
+            cb(new VError(err, 'installVersionedTrigger'));
+            return;
+        }
+
+        log.debug({
+            result: results[0],
+            requestId: opts.req_id
+        }, 'Moray.installVersionedTrigger: done');
+        cb(null, results[0]);
+    });
+};
+
+/*
+ * Fills in the index columns of rows written before their bucket (by default,
+ * the manta bucket) gained those columns.  Bucket upgrades are done with
+ * no_reindex (see BUCKET_VERSION), so Moray leaves this to reindexObjects,
+ * which this calls with up to `options.batchSize` rows at a time until no rows
+ * are left.  With `options.rateLimit`, batches are spaced out so that no more
+ * than that many rows are reindexed per second.
+ *
+ * Returns an EventEmitter which emits 'progress' after each batch with the
+ * running totals of `batches` and rows `processed`, and the number of rows
+ * still `remaining` (null if Moray does not report it), and then either 'end'
+ * with the final totals or 'error'.  When the client starts shutting down, the
+ * batch in flight is completed and the operation ends early, with `stopped`
+ * set.  Reindexing is resumable: Moray records which rows are done, so the
+ * same call simply carries on where an earlier one stopped.
+ */
+Moray.prototype.reindexBucket = function reindexBucket(options) {
+    assert.object(options, 'options');
+    assert.string(options.requestId, 'options.requestId');
+    assert.optionalString(options.bucket, 'options.bucket');
+    assert.optionalNumber(options.batchSize, 'options.batchSize');
+    assert.optionalNumber(options.rateLimit, 'options.rateLimit');
+
+    if (this.readOnly) {
+        throw new assert.AssertionError({
+            message: 'Operation reindexBucket ' +
+                'not supported in a read-only client'
+        });
+    }
+
+    if (this.shuttingDown)
+        throw new errors.ShuttingDownError('moray');
+
+    if (!this.client)
+        throw new Error('not connected');
+
+    var batchSize = options.batchSize || REINDEX_BATCH_SIZE;
+    var bucket = options.bucket || this.buckets.manta;
+    var client = this.client;
+    var log = this.log;
+    var opts = {
+        req_id: options.requestId
+    };
+    var res = new EventEmitter();
+    var self = this;
+    var stats = {
+        bucket: bucket,
+        batches: 0,
+        processed: 0,
+        remaining: null,
+        stopped: false
+    };
+
+    function nextBatch() {
+        if (self.shuttingDown) {
+            stats.stopped = true;
+            done(null);
+            return;
+        }
+
+        var start = Date.now();
+
+        client.reindexObjects(bucket, batchSize, opts, track(self,
+            function (err, result) {
+            if (err) {
+                done(err);
+                return;
+            }
+
+            stats.batches++;
+            stats.processed += result.processed;
+            if (typeof (result.remaining) === 'number')
+                stats.remaining = result.remaining;
+            res.emit('progress', jsprim.deepCopy(stats));
+
+            if (result.processed === 0 || stats.remaining === 0) {
+                stats.remaining = 0;
+                done(null);
+            } else if (options.rateLimit) {
+                setTimeout(nextBatch, Math.max(0, start - Date.now() +
+                    result.processed * 1000 / options.rateLimit));
+            } else {
+                setImmediate(nextBatch);
+            }
+        }));
+    }
+
+    function done(err) {
+        if (err) {
+            log.debug({
+                err: err,
+                stats: stats,
+                requestId: opts.req_id
+            }, 'Moray.reindexBucket: error');
+            res.emit('error', err);
+        } else {
+            log.debug({
+                stats: stats,
+                requestId: opts.req_id
+            }, 'Moray.reindexBucket: done');
+            res.emit('end', stats);
+        }
+    }
+
+    log.debug({
+        bucket: bucket,
+        batchSize: batchSize,
+        rateLimit: options.rateLimit,
+        requestId: opts.req_id
+    }, 'Moray.reindexBucket: entered');
+
+    setImmediate(nextBatch);
+
+    return (res);
+};
+
+/*
+ * Returns the getMetadata cache statistics: the number of hits and misses, and
+ * the number of records cached (out of at most `max`), or null if the client
+ * has no cache.
+ */
+Moray.prototype.getCacheStats = function getCacheStats() {
+    if (!this.cache)
+        return (null);
+
+    return ({
+        hits: this.cacheHits,
+        misses: this.cacheMisses,
+        size: this.cache.itemCount,
+        max: this.cache.max
+    });
+};
+
+Moray.prototype.ping = function ping(opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.object(opts, 'options');
+    assert.func(cb, 'callback');
+
+    if (!this.client) {
+        process.nextTick(cb.bind(this, new Error('not connected')));
+        return;
     }
 
     this.client.ping(opts, cb);
@@ -1146,9 +5014,25 @@ Moray.prototype.search = function search(options) {
     assert.string(options.filter, 'options.filter');
     assert.string(options.requestId, 'options.requestId');
 
+    /*
+     * Operations like deleteTree search from within callbacks, where a throw
+     * would be uncaught, so a refused search fails through 'error' instead.
+     */
+    var err = unavailableError(this);
+    var res;
+
+    if (err !== null) {
+        res = new EventEmitter();
+        setImmediate(function () {
+            res.emit('error', err);
+        });
+        return (res);
+    }
+
     if (!this.client)
         throw new Error('not connected');
 
+    var buckets = this.buckets;
     var client = this.client;
     var log = this.log;
     var opts = {
@@ -1166,11 +5050,159 @@ Moray.prototype.search = function search(options) {
         requestId: opts.requestId,
         opts: opts
     }, 'Moray.search: entered');
-    return (client.findObjects(BUCKET, options.filter, opts));
+
+    var req = client.findObjects(buckets.manta, options.filter, opts);
+    var done = track(this, instrument(this, 'search', function () {}));
+
+    req.once('error', done);
+    req.once('end', function () {
+        done();
+    });
+
+    return (req);
+};
+
+
+/*
+ * Returns a snapshot of the client's initialization, for readiness probes:
+ *
+ *     {
+ *         phase: 'backoff',        // see below
+ *         attempt: 3,              // initialization attempts so far
+ *         lastError: err,          // why the last attempt failed, or null
+ *         retryAt: 1571234567890,  // when the next attempt starts, or null
+ *         healthy: true,           // false while health checks are failing
+ *         ready: false             // whether requests can be made
+ *     }
+ *
+ * `phase` is null before the first attempt, then the step of initialization
+ * under way ("connect", then "setupBuckets" and "setupTrigger", or
+ * "planSetup" in plan mode), "backoff" while waiting to retry, "ready" once
+ * initialized and "closed" once closed.  A client that is shutting down, or
+ * whose health checks are failing, is not ready.
+ */
+Moray.prototype.status = function status() {
+    return ({
+        phase: this.initPhase,
+        attempt: this.initAttempts,
+        lastError: this.initError,
+        retryAt: this.initRetryAt,
+        healthy: this.healthError === null,
+        ready: this.initPhase === 'ready' && !this.shuttingDown &&
+            this.healthError === null
+    });
+};
+
+
+/*
+ * Returns the number of metadata operations that have started but not yet
+ * completed.
+ */
+Moray.prototype.getInflightCount = function getInflightCount() {
+    return (this.inflight);
+};
+
+
+/*
+ * Closes the client once its in-flight metadata operations have completed.
+ * From when this is called, new metadata operations fail with a
+ * ShuttingDownError.  The client emits 'drain' when the last operation
+ * completes, and then closes; if that takes more than `options.timeout`
+ * milliseconds, it closes anyway, abandoning whatever is still running.
+ * `callback`, if given, is called once the client has closed.  If the client
+ * has not finished initializing, it stops trying to.  Calling this again only
+ * adds `callback` to those called once the client has closed.
+ */
+Moray.prototype.shutdown = function shutdown(options, callback) {
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = {};
+    }
+    options = options || {};
+    assert.object(options, 'options');
+    assert.optionalNumber(options.timeout, 'options.timeout');
+    assert.optionalFunc(callback, 'callback');
+
+    var log = this.log;
+    var self = this;
+    var timer = null;
+
+    if (callback)
+        this.shutdownCallbacks.push(callback);
+
+    /* Later calls only wait for the first to finish. */
+    if (this.shuttingDown) {
+        if (this.shutdownDone)
+            setImmediate(finished);
+        return;
+    }
+
+    this.shuttingDown = true;
+    /* Cancel any pending retry of initialization. */
+    this.initBackoff.reset();
+
+    log.info({
+        inflight: this.inflight,
+        timeout: options.timeout
+    }, 'Moray.shutdown: entered');
+
+    function done() {
+        if (timer !== null)
+            clearTimeout(timer);
+        self.removeListener('drain', done);
+        log.info({
+            inflight: self.inflight
+        }, 'Moray.shutdown: closing');
+
+        if (self.client === null) {
+            /* Initialization never connected, and now never will. */
+            stopHealthCheck(self);
+            self.initPhase = 'closed';
+            self.initRetryAt = null;
+            setImmediate(finished);
+            return;
+        }
+
+        self.close(function () {
+            /* Initialization, if still under way, fails and stops. */
+            self.initPhase = 'closed';
+            self.initRetryAt = null;
+            finished();
+        });
+    }
+
+    function finished() {
+        var callbacks = self.shutdownCallbacks;
+
+        self.shutdownDone = true;
+        self.shutdownCallbacks = [];
+        callbacks.forEach(function (cb) {
+            cb();
+        });
+    }
+
+    if (this.inflight === 0) {
+        setImmediate(function () {
+            self.emit('drain');
+        });
+    }
+    this.once('drain', done);
+
+    if (options.timeout !== undefined) {
+        timer = setTimeout(function () {
+            timer = null;
+            log.warn({
+                inflight: self.inflight
+            }, 'Moray.shutdown: timed out waiting for in-flight operations');
+            done();
+        }, options.timeout);
+    }
 };
 
 
 Moray.prototype.close = function close(callback) {
+    stopHealthCheck(this);
+
     if (!this.client) {
         if (callback) {
             process.nextTick(function () {
@@ -1180,7 +5212,10 @@ Moray.prototype.close = function close(callback) {
     } else {
         if (callback)
             this.client.once('close', callback);
-        this.client.close();
+        if (!this.clientClosing) {
+            this.clientClosing = true;
+            this.client.close();
+        }
     }
 };
 
@@ -1190,10 +5225,24 @@ Moray.prototype.toString = function toString() {
 };
 
 
+utils.promisifyMethods(Moray.prototype, [
+    'putMetadata',
+    'putFinalizingMetadata',
+    'getMetadata',
+    'getFinalizingMetadata',
+    'delMetadata',
+    'batchMetadata',
+    'moveMetadata',
+    'getDirectoryCount',
+    'commitMPU'
+]);
+
+
 ///--- Exports
 
 module.exports = {
     createMorayClient: function createMorayClient(opts) {
         return (new Moray(opts));
-    }
+    },
+    keyDirname: keyDirname
 };
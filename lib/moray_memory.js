@@ -0,0 +1,1597 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+//
+// An in-memory stand-in for Moray.  This implements the subset of the
+// node-moray client API that libmanta uses (buckets, objects, findObjects with
+// LDAP filters, batch, reindexObjects and sql), and emulates the server-side
+// behaviour that Manta depends on: bucket versioning, etag checks, unique
+// indexes, the recordDeleteLog post trigger and the versioned PostgreSQL
+// directory-count trigger installed by setupMantaTrigger.
+//
+// A backend holds the data; clients created from it share that data, which
+// lets several libmanta Moray instances (e.g., a read-only and a read-write
+// client) talk to the same "database":
+//
+//     var backend = libmanta.createMemoryMorayBackend();
+//     var client = libmanta.createMorayClient({
+//         backend: backend,
+//         log: log
+//     });
+//
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var assert = require('assert-plus');
+var extend = require('xtend');
+var ldapFilter = require('ldap-filter');
+var vasync = require('vasync');
+var VError = require('verror');
+
+
+
+///--- Globals
+
+var sprintf = util.format;
+
+/*
+ * Columns that Moray maintains for every row, in addition to whatever indexes
+ * the bucket defines.
+ */
+var INTERNAL_FIELDS = {
+    _id: 'number',
+    _key: 'string',
+    _etag: 'string',
+    _mtime: 'number'
+};
+
+/* Moray applies this limit to findObjects when the caller does not. */
+var DEFAULT_LIMIT = 1000;
+
+/* Named after the manta bucket it counts (see dircountSql in moray.js). */
+var DIRCOUNT_PROC_RE = /^count_\w+_directories$/;
+
+/* Tables that select() reads from the PostgreSQL catalog (see catalog()). */
+var CATALOG_RE = /^(information_schema\.|pg_)/;
+
+/* JSSTYLED */
+var FUNCTION_RE = /CREATE\s+OR\s+REPLACE\s+FUNCTION\s+(\w+)\s*\(/ig;
+/* JSSTYLED */
+var VERSIONED_TRIGGER_RE = /SELECT\s+manta_update_versioned_trigger\(\s*'(\w+)'\s*,\s*'(\w+)'\s*,\s*(\d+)\s*,\s*'(\w+)'\s*\)/ig;
+/* JSSTYLED */
+var INSERT_RE = /^\s*INSERT\s+INTO\s+(\w+)\s*\(([^)]*)\)\s*VALUES\s*\(([^)]*)\)\s*;?\s*$/i;
+/* JSSTYLED */
+var SELECT_RE = /^\s*SELECT\s+([\w\s,]+?)\s+FROM\s+([\w.]+)\s+WHERE\s+(.+?)(?:\s+LIMIT\s+(\d+))?\s*;?\s*$/i;
+/* JSSTYLED */
+var CONDITION_RE = /^(\w+)\s*(=|!=|<>|LIKE)\s*\$(\d+)$/i;
+/* JSSTYLED */
+var COUNT_TABLE_RE = /UPDATE\s+(\w+)\s+SET\s+entries/i;
+
+var CRC32_TABLE = (function makeTable() {
+    var table = [];
+    var c, n, k;
+
+    for (n = 0; n < 256; n++) {
+        c = n;
+        for (k = 0; k < 8; k++)
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        table[n] = c >>> 0;
+    }
+
+    return (table);
+})();
+
+
+
+///--- Internal Functions
+
+function crc32(str) {
+    var bytes = unescape(encodeURIComponent(str));
+    var crc = 0xFFFFFFFF;
+
+    for (var i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes.charCodeAt(i)) & 0xFF] ^
+            (crc >>> 8);
+    }
+
+    return ((crc ^ 0xFFFFFFFF) >>> 0);
+}
+
+
+function hex32(val) {
+    var str = (val >>> 0).toString(16).toUpperCase();
+
+    while (str.length < 8)
+        str = '0' + str;
+
+    return (str);
+}
+
+
+function morayError(name, msg) {
+    var err = new VError('%s', msg);
+    err.name = name;
+    return (err);
+}
+
+
+/*
+ * Values cross the wire as JSON when talking to a real Moray, so we do the
+ * same here: callers must not be able to alias stored records, and fields set
+ * to `undefined` disappear.
+ */
+function wireCopy(obj) {
+    if (obj === undefined)
+        return (undefined);
+
+    return (JSON.parse(JSON.stringify(obj)));
+}
+
+
+/*
+ * Given SQL starting at a CREATE FUNCTION statement, returns the
+ * dollar-quoted function body.
+ */
+function functionBody(sql) {
+    var q = /\$(\w*)\$/.exec(sql);
+    var end;
+
+    if (!q)
+        return (sql);
+
+    end = sql.indexOf(q[0], q.index + q[0].length);
+    return (end === -1 ? sql : sql.slice(q.index, end + q[0].length));
+}
+
+
+function fieldType(index, attr) {
+    if (INTERNAL_FIELDS.hasOwnProperty(attr))
+        return (INTERNAL_FIELDS[attr]);
+
+    if (index.hasOwnProperty(attr) && index[attr].type)
+        return (index[attr].type.replace(/^\[(.*)\]$/, '$1'));
+
+    return ('string');
+}
+
+
+function fieldValue(row, attr) {
+    if (attr === '_key')
+        return (row.key);
+
+    if (INTERNAL_FIELDS.hasOwnProperty(attr))
+        return (row[attr]);
+
+    return (row.value[attr]);
+}
+
+
+function coerce(type, v) {
+    switch (type) {
+    case 'number':
+        return (Number(v));
+    case 'boolean':
+        return (v === true || v === 'true');
+    default:
+        return (String(v));
+    }
+}
+
+
+function escapeRegExp(str) {
+    return (str.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&'));
+}
+
+
+function compare(a, b) {
+    if (a < b)
+        return (-1);
+    if (a > b)
+        return (1);
+    return (0);
+}
+
+
+function matchValue(f, type, actual) {
+    var re;
+    var want;
+
+    switch (f.type) {
+    case 'equal':
+        return (coerce(type, actual) === coerce(type, f.value));
+    case 'ge':
+        return (coerce(type, actual) >= coerce(type, f.value));
+    case 'le':
+        return (coerce(type, actual) <= coerce(type, f.value));
+    case 'substring':
+        want = escapeRegExp(f.initial || '') + '.*' +
+            f.any.map(escapeRegExp).join('.*') +
+            (f.any.length > 0 ? '.*' : '') +
+            escapeRegExp(f['final'] || '');
+        re = new RegExp('^' + want + '$');
+        return (re.test(String(actual)));
+    default:
+        throw (morayError('NotImplementedError',
+            sprintf('filter type "%s" is not supported', f.type)));
+    }
+}
+
+
+function matchFilter(f, row, index) {
+    var actual;
+
+    switch (f.type) {
+    case 'and':
+        return (f.filters.every(function (sub) {
+            return (matchFilter(sub, row, index));
+        }));
+    case 'or':
+        return (f.filters.some(function (sub) {
+            return (matchFilter(sub, row, index));
+        }));
+    case 'not':
+        return (!matchFilter(f.filter, row, index));
+    case 'present':
+        actual = fieldValue(row, f.attribute);
+        return (actual !== undefined && actual !== null);
+    default:
+        actual = fieldValue(row, f.attribute);
+        if (actual === undefined || actual === null)
+            return (false);
+
+        if (Array.isArray(actual)) {
+            return (actual.some(function (a) {
+                return (matchValue(f, fieldType(index, f.attribute), a));
+            }));
+        }
+
+        return (matchValue(f, fieldType(index, f.attribute), actual));
+    }
+}
+
+
+/*
+ * Parses `str` and returns a predicate over stored rows.  Comparisons use the
+ * types declared in the bucket's index, as PostgreSQL would.
+ */
+function compileFilter(str, index) {
+    var f;
+
+    try {
+        f = ldapFilter.parse(str);
+    } catch (e) {
+        throw (morayError('InvalidQueryError',
+            sprintf('%s is an invalid filter (%s)', str, e.message)));
+    }
+
+    return (function (row) {
+        return (matchFilter(f, row, index));
+    });
+}
+
+
+/*
+ * Converts a SQL LIKE pattern, in which "%" matches any string, "_" any one
+ * character and a backslash escapes the next character, to a RegExp.
+ */
+function likeRegExp(pattern) {
+    var re = '';
+    var c, i;
+
+    for (i = 0; i < pattern.length; i++) {
+        c = pattern[i];
+        if (c === '%') {
+            re += '.*';
+        } else if (c === '_') {
+            re += '.';
+        } else {
+            if (c === '\\' && i + 1 < pattern.length)
+                c = pattern[++i];
+            re += c.replace(/[\\^$.*+?()[\]{}|\/-]/, '\\$&');
+        }
+    }
+
+    return (new RegExp('^' + re + '$'));
+}
+
+
+function sortRows(rows, sort, index) {
+    var sorts;
+
+    if (!sort) {
+        sorts = [ { attribute: '_id', order: 'ASC' } ];
+    } else {
+        sorts = Array.isArray(sort) ? sort : [ sort ];
+    }
+
+    rows.sort(function (a, b) {
+        for (var i = 0; i < sorts.length; i++) {
+            var attr = sorts[i].attribute;
+            var type = fieldType(index, attr);
+            var va = fieldValue(a, attr);
+            var vb = fieldValue(b, attr);
+            var c;
+
+            if (va === undefined || va === null) {
+                c = (vb === undefined || vb === null) ? 0 : 1;
+            } else if (vb === undefined || vb === null) {
+                c = -1;
+            } else {
+                c = compare(coerce(type, va), coerce(type, vb));
+            }
+
+            if ((sorts[i].order || 'ASC').toUpperCase() === 'DESC')
+                c = -c;
+            if (c !== 0)
+                return (c);
+        }
+        return (0);
+    });
+
+    return (rows);
+}
+
+
+function rowToObject(bucket, row) {
+    return ({
+        bucket: bucket,
+        key: row.key,
+        value: wireCopy(row.value),
+        _id: row._id,
+        _etag: row._etag,
+        _mtime: row._mtime,
+        _txn_snapshot: null
+    });
+}
+
+
+function checkEtag(bucket, key, row, etag) {
+    if (etag === undefined)
+        return;
+
+    if ((etag === null && row) ||
+        (etag !== null && (!row || row._etag !== etag))) {
+        throw (morayError('EtagConflictError', sprintf(
+            '%s::%s has etag %s. Request etag: %s', bucket, key,
+            row ? row._etag : 'null', etag === null ? 'null' : etag)));
+    }
+}
+
+
+/*
+ * The PostgreSQL handle given to post triggers as `req.pg`.  Statements run
+ * inside the transaction of the request that fired the trigger.
+ */
+function PostgresShim(backend) {
+    this.backend = backend;
+}
+
+
+PostgresShim.prototype.query = function query(sql, values) {
+    var backend = this.backend;
+    var res = new EventEmitter();
+
+    setImmediate(function runQuery() {
+        var rows;
+
+        try {
+            rows = backend.execute(sql, values || []);
+        } catch (e) {
+            res.emit('error', e);
+            return;
+        }
+
+        rows.forEach(function (r) {
+            res.emit('row', r);
+        });
+        res.emit('end', { rowCount: rows.length });
+    });
+
+    return (res);
+};
+
+
+
+/*
+ * Runs a single SQL statement through `pg`, calling back with the rows.
+ */
+function pgQuery(pg, sql, values, cb) {
+    var q = pg.query(sql, values);
+    var rows = [];
+
+    q.on('row', function (r) {
+        rows.push(r);
+    });
+    q.once('error', cb);
+    q.once('end', function () {
+        cb(null, rows);
+    });
+}
+
+
+/*
+ * Stands in for the recordDeleteLog post trigger in moray.js, which Moray
+ * evaluates from its source: records the metadata in the
+ * `x-muskie-prev-metadata` header in the delete log (or the fastdelete queue
+ * if snaplinks are disabled, and the last reference check, if asked for, finds
+ * no other key) when the object it names is no longer the one at `req.key`.
+ */
+function recordDeleteLog(req, cb) {
+    var identifier = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+    var deleteLog = req.headers['x-muskie-delete-log-bucket'] ||
+        'manta_delete_log';
+    var fastdeleteQueue = req.headers['x-muskie-fastdelete-queue-bucket'] ||
+        'manta_fastdelete_queue';
+    var now = Date.now();
+    var prevmd = req.headers['x-muskie-prev-metadata'];
+
+    if (!prevmd || !prevmd.objectId ||
+        (req.value && req.value.objectId === prevmd.objectId)) {
+        cb();
+        return;
+    }
+
+    if (!identifier.test(deleteLog) || !identifier.test(fastdeleteQueue)) {
+        cb(new Error('invalid delete log bucket name'));
+        return;
+    }
+
+    function insert(fastdelete, md) {
+        var value = JSON.stringify(md);
+        var etag = hex32(crc32(value));
+
+        if (fastdelete) {
+            pgQuery(req.pg, 'INSERT INTO ' + fastdeleteQueue +
+                ' (_key, _value, _etag, _mtime) VALUES ($1, $2, $3, $4)',
+                [ prevmd.objectId, value, etag, now ], function (err) {
+                cb(err);
+            });
+        } else {
+            pgQuery(req.pg, 'INSERT INTO ' + deleteLog + ' (_key, _value, ' +
+                '_etag, _mtime, objectId) VALUES ($1, $2, $3, $4, $5)',
+                [ '/' + prevmd.objectId + '/' + now, value, etag, now,
+                prevmd.objectId ], function (err) {
+                cb(err);
+            });
+        }
+    }
+
+    if (!req.headers['x-muskie-snaplinks-disabled']) {
+        insert(false, prevmd);
+        return;
+    }
+
+    if (!req.headers['x-muskie-check-last-reference']) {
+        insert(true, prevmd);
+        return;
+    }
+
+    pgQuery(req.pg, 'SELECT _key FROM ' + req.bucket +
+        ' WHERE objectId = $1 AND _key != $2 LIMIT 1',
+        [ prevmd.objectId, req.key ], function (err, rows) {
+        var md;
+
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        if (rows.length === 0) {
+            insert(true, prevmd);
+            return;
+        }
+
+        md = wireCopy(prevmd);
+        md.deleteLogReason = {
+            reason: 'object is still referenced',
+            referencedBy: rows[0]._key
+        };
+        insert(false, md);
+    });
+}
+
+
+/*
+ * Moray evaluates trigger functions from their source on the server.  We
+ * don't evaluate bucket configuration here: the triggers that libmanta
+ * installs are emulated above, by name, and buckets naming any other trigger
+ * are refused (see checkTriggers).
+ */
+var POST_TRIGGERS = {
+    recordDeleteLog: recordDeleteLog
+};
+
+
+function checkTriggers(name, cfg) {
+    (cfg.pre || []).forEach(function (f) {
+        throw (morayError('NotImplementedError', sprintf(
+            '%s: pre triggers are not supported (%s)', name, f.name)));
+    });
+
+    (cfg.post || []).forEach(function (f) {
+        if (typeof (f) !== 'function' ||
+            !POST_TRIGGERS.hasOwnProperty(f.name)) {
+            throw (morayError('NotImplementedError', sprintf(
+                '%s: unknown post trigger %s', name, f.name || String(f))));
+        }
+    });
+}
+
+
+
+///--- Backend
+
+/**
+ * Holds the buckets, rows, stored procedures and triggers for any number of
+ * clients created with createClient().  Modifications are applied one
+ * transaction at a time; a failing post trigger rolls the whole request (or
+ * batch) back.
+ *
+ * opts.postgresVersion is the major version of PostgreSQL to emulate where
+ * its output differs (default 9): from 11 on, the action_statement of a
+ * trigger reads "EXECUTE FUNCTION" instead of "EXECUTE PROCEDURE".
+ */
+function MemoryMorayBackend(opts) {
+    assert.optionalObject(opts, 'options');
+    assert.optionalNumber((opts || {}).postgresVersion,
+        'options.postgresVersion');
+
+    this.postgresVersion = (opts || {}).postgresVersion || 9;
+    this.buckets = {};
+    this.functions = {};
+    this.triggers = {};
+    this.nextId = 1;
+    this.txnQueue = vasync.queue(function (task, cb) {
+        task(cb);
+    }, 1);
+}
+
+
+/*
+ * Mirrors moray.createClient(), so that a backend can be handed to
+ * createMorayClient in place of the node-moray module.
+ */
+MemoryMorayBackend.prototype.createClient = function createClient(opts) {
+    return (new MemoryMorayClient(this, opts));
+};
+
+
+MemoryMorayBackend.prototype.getBucket = function getBucket(name) {
+    if (!this.buckets.hasOwnProperty(name)) {
+        throw (morayError('BucketNotFoundError',
+            sprintf('%s does not exist', name)));
+    }
+
+    return (this.buckets[name]);
+};
+
+
+MemoryMorayBackend.prototype.transaction = function transaction(func, cb) {
+    var self = this;
+
+    this.txnQueue.push(function runTransaction(done) {
+        var snapshot = self.snapshot();
+
+        func(function (err, res) {
+            if (err)
+                self.restore(snapshot);
+            done();
+            setImmediate(cb, err, res);
+        });
+    });
+};
+
+
+MemoryMorayBackend.prototype.snapshot = function snapshot() {
+    var self = this;
+    var buckets = {};
+
+    Object.keys(this.buckets).forEach(function (k) {
+        var b = self.buckets[k];
+        buckets[k] = {
+            bucket: b,
+            rows: extend(b.rows)
+        };
+    });
+
+    return ({
+        buckets: buckets,
+        functions: extend(this.functions),
+        triggers: wireCopy(this.triggers),
+        nextId: this.nextId
+    });
+};
+
+
+MemoryMorayBackend.prototype.restore = function restore(snapshot) {
+    var self = this;
+
+    this.buckets = {};
+    Object.keys(snapshot.buckets).forEach(function (k) {
+        var b = snapshot.buckets[k].bucket;
+        b.rows = snapshot.buckets[k].rows;
+        self.buckets[k] = b;
+    });
+    this.functions = snapshot.functions;
+    this.triggers = snapshot.triggers;
+    this.nextId = snapshot.nextId;
+};
+
+
+MemoryMorayBackend.prototype.putBucket = function putBucket(name, cfg) {
+    var existing = this.buckets[name];
+    var options = cfg.options || {};
+    var v2 = options.version || 0;
+    var v;
+
+    checkTriggers(name, cfg);
+
+    if (existing) {
+        v = existing.options.version || 0;
+        if (v !== 0 && v === v2)
+            return;
+
+        if (v > v2) {
+            throw (morayError('BucketVersionError', sprintf(
+                '%s has a newer version than %d (%d)', name, v2, v)));
+        }
+    }
+
+    this.buckets[name] = {
+        name: name,
+        index: wireCopy(cfg.index || {}),
+        pre: (cfg.pre || []).slice(),
+        post: (cfg.post || []).slice(),
+        options: wireCopy(options),
+        mtime: new Date(),
+        rows: existing ? existing.rows : {}
+    };
+};
+
+
+/*
+ * Writes a single row, enforcing etags and unique indexes, and fires any
+ * PostgreSQL triggers on the table if this is an insert.
+ */
+MemoryMorayBackend.prototype.writeRow =
+function writeRow(name, key, value, opts) {
+    var bucket = this.getBucket(name);
+    var existing = bucket.rows[key];
+    var json = JSON.stringify(value);
+    var row;
+
+    checkEtag(name, key, existing, opts.etag);
+
+    Object.keys(bucket.index).forEach(function (k) {
+        if (!bucket.index[k].unique || value[k] === undefined)
+            return;
+
+        Object.keys(bucket.rows).forEach(function (other) {
+            if (other !== key && bucket.rows[other].value[k] === value[k]) {
+                throw (morayError('UniqueAttributeError', sprintf(
+                    '%s already exists in %s.%s', value[k], name, k)));
+            }
+        });
+    });
+
+    row = {
+        key: key,
+        value: JSON.parse(json),
+        _id: existing ? existing._id : this.nextId++,
+        _etag: opts.rawEtag || hex32(crc32(json)),
+        _mtime: opts.mtime || Date.now(),
+        _rver: bucket.options.version || 0,
+        _vnode: opts.vnode
+    };
+    bucket.rows[key] = row;
+
+    if (!existing)
+        this.fireTriggers(name, 'INSERT', row);
+
+    return (row);
+};
+
+
+/*
+ * Reindexes up to `count` of the rows that were last written (or reindexed)
+ * under an older version of bucket `name`, oldest first, and returns how many
+ * it processed and how many are left, as Moray's reindexObjects does.  Rows
+ * here are matched against their stored values rather than index columns, so
+ * reindexing only has to bring each row's "_rver" up to date.
+ */
+MemoryMorayBackend.prototype.reindexObjects =
+function reindexObjects(name, count) {
+    var bucket = this.getBucket(name);
+    var version = bucket.options.version || 0;
+    var stale = Object.keys(bucket.rows).map(function (k) {
+        return (bucket.rows[k]);
+    }).filter(function (row) {
+        return (row._rver < version);
+    }).sort(function (a, b) {
+        return (a._id - b._id);
+    });
+    var batch = stale.slice(0, count);
+
+    /* As in countDirectory, rows are replaced so rollbacks undo this. */
+    batch.forEach(function (row) {
+        bucket.rows[row.key] = extend(row, { _rver: version });
+    });
+
+    return ({
+        processed: batch.length,
+        remaining: stale.length - batch.length
+    });
+};
+
+
+MemoryMorayBackend.prototype.deleteRow = function deleteRow(name, key, opts) {
+    var bucket = this.getBucket(name);
+    var row = bucket.rows[key];
+
+    if (!row) {
+        throw (morayError('ObjectNotFoundError',
+            sprintf('%s::%s does not exist', name, key)));
+    }
+
+    checkEtag(name, key, row, opts.etag);
+    delete bucket.rows[key];
+    this.fireTriggers(name, 'DELETE', row);
+
+    return (row);
+};
+
+
+/*
+ * Emulates the PostgreSQL triggers installed through
+ * manta_update_versioned_trigger().  Only the directory-count procedure is
+ * understood; the table it maintains is taken from the installed function.
+ */
+MemoryMorayBackend.prototype.fireTriggers =
+function fireTriggers(table, op, row) {
+    var self = this;
+    var triggers = this.triggers[table] || {};
+
+    Object.keys(triggers).forEach(function (name) {
+        var tg = triggers[name];
+        var proc = tg.procname + '_v' + tg.version;
+        var body = self.functions[proc];
+        var m;
+
+        if (body === undefined) {
+            throw (morayError('InternalError',
+                sprintf('function %s() does not exist', proc)));
+        }
+
+        if (!DIRCOUNT_PROC_RE.test(tg.procname))
+            return;
+
+        m = COUNT_TABLE_RE.exec(body);
+        self.countDirectory(m ? m[1] : 'manta_directory_counts', op, row);
+    });
+};
+
+
+MemoryMorayBackend.prototype.countDirectory =
+function countDirectory(table, op, row) {
+    var counts = this.getBucket(table);
+    var dirname = row.value.dirname;
+    var current = counts.rows[dirname];
+
+    /*
+     * Rows are replaced rather than modified so that a rollback to an earlier
+     * snapshot also undoes the count.
+     */
+    function setEntries(n) {
+        counts.rows[dirname] = extend(current, {
+            value: extend(current.value, { entries: n })
+        });
+    }
+
+    if (op === 'INSERT') {
+        if (current) {
+            setEntries(current.value.entries + 1);
+        } else {
+            this.writeRow(table, dirname, { entries: 1 }, {
+                rawEtag: '_trigger',
+                vnode: row._vnode
+            });
+        }
+    } else if (!current || current.value.entries <= 1) {
+        if (current)
+            this.deleteRow(table, dirname, {});
+    } else {
+        setEntries(current.value.entries - 1);
+    }
+};
+
+
+/*
+ * Runs the post triggers of bucket `name` for a request that has already been
+ * applied.  `value` is undefined for deletes, as it is in Moray.
+ */
+MemoryMorayBackend.prototype.runPost =
+function runPost(log, name, row, value, opts, cb) {
+    var bucket = this.getBucket(name);
+    var req = {
+        bucket: name,
+        headers: wireCopy(opts.headers) || {},
+        id: row._id,
+        key: row.key,
+        log: log,
+        pg: new PostgresShim(this),
+        schema: bucket.index,
+        value: wireCopy(value)
+    };
+
+    vasync.forEachPipeline({
+        inputs: bucket.post,
+        func: function (post, next) {
+            POST_TRIGGERS[post.name](req, next);
+        }
+    }, function (err) {
+        cb(err);
+    });
+};
+
+
+MemoryMorayBackend.prototype.putObject =
+function putObject(log, name, key, value, opts, cb) {
+    var row;
+
+    try {
+        row = this.writeRow(name, key, value, opts);
+    } catch (e) {
+        cb(e);
+        return;
+    }
+
+    this.runPost(log, name, row, row.value, opts, function (err) {
+        cb(err, err ? undefined : { etag: row._etag });
+    });
+};
+
+
+MemoryMorayBackend.prototype.delObject =
+function delObject(log, name, key, opts, cb) {
+    var row;
+
+    try {
+        row = this.deleteRow(name, key, opts);
+    } catch (e) {
+        cb(e);
+        return;
+    }
+
+    this.runPost(log, name, row, undefined, opts, function (err) {
+        cb(err, err ? undefined : { etag: row._etag });
+    });
+};
+
+
+MemoryMorayBackend.prototype.find = function find(name, filter, opts) {
+    var bucket = this.getBucket(name);
+    var match = compileFilter(filter, bucket.index);
+    var rows = Object.keys(bucket.rows).map(function (k) {
+        return (bucket.rows[k]);
+    }).filter(match);
+    var count = rows.length;
+    var offset = opts.offset || 0;
+    var limit = opts.limit || DEFAULT_LIMIT;
+
+    rows = sortRows(rows, opts.sort, bucket.index).slice(offset,
+        offset + limit);
+
+    return (rows.map(function (r) {
+        var obj = rowToObject(name, r);
+        if (!opts.no_count)
+            obj._count = count;
+        return (obj);
+    }));
+};
+
+
+/*
+ * Executes raw SQL, as issued by post triggers.  Only row inserts and simple
+ * selects (see select()) are supported.
+ */
+MemoryMorayBackend.prototype.execute = function execute(sql, values) {
+    var m = INSERT_RE.exec(sql);
+    var cols, vals, row, value;
+
+    if (!m && SELECT_RE.test(sql))
+        return (this.select(sql, values));
+
+    if (!m) {
+        throw (morayError('NotImplementedError',
+            sprintf('unsupported statement: %s', sql)));
+    }
+
+    cols = m[2].split(',').map(function (c) {
+        return (c.trim());
+    });
+    vals = m[3].split(',').map(function (v) {
+        var p = /^\s*\$(\d+)\s*$/.exec(v);
+        if (!p) {
+            throw (morayError('NotImplementedError',
+                sprintf('unsupported value in statement: %s', v)));
+        }
+        return (values[parseInt(p[1], 10) - 1]);
+    });
+
+    row = {};
+    cols.forEach(function (c, i) {
+        row[c] = vals[i];
+    });
+
+    if (this.getBucket(m[1]).rows.hasOwnProperty(row._key)) {
+        throw (morayError('UniqueAttributeError', sprintf(
+            'duplicate key value violates unique constraint "%s_pkey"',
+            m[1])));
+    }
+
+    value = JSON.parse(row._value || '{}');
+    cols.forEach(function (c) {
+        if (c.charAt(0) !== '_')
+            value[c] = row[c];
+    });
+
+    this.writeRow(m[1], String(row._key), value, {
+        rawEtag: row._etag,
+        mtime: row._mtime,
+        vnode: row._vnode
+    });
+
+    return ([]);
+};
+
+
+/*
+ * Returns rows, shaped like bucket rows, for the PostgreSQL catalog tables and
+ * views that libmanta reads: information_schema.triggers, for the versioned
+ * triggers installed through manta_update_versioned_trigger(), and the names
+ * ("proname") of the stored procedures in pg_proc.
+ */
+MemoryMorayBackend.prototype.catalog = function catalog(name) {
+    var self = this;
+    var rows = {};
+
+    if (name === 'pg_proc') {
+        Object.keys(this.functions).forEach(function (proname) {
+            rows[proname] = {
+                value: {
+                    proname: proname
+                }
+            };
+        });
+
+        return ({ rows: rows });
+    }
+
+    if (name !== 'information_schema.triggers') {
+        throw (morayError('NotImplementedError',
+            sprintf('unsupported table: %s', name)));
+    }
+
+    Object.keys(this.triggers).sort().forEach(function (table) {
+        var triggers = self.triggers[table];
+
+        Object.keys(triggers).sort().forEach(function (trigger) {
+            var tg = triggers[trigger];
+
+            [ 'INSERT', 'DELETE' ].forEach(function (op) {
+                rows[sprintf('%s/%s/%s', table, trigger, op)] = {
+                    value: {
+                        event_object_table: table,
+                        trigger_name: trigger,
+                        event_manipulation: op,
+                        action_statement: sprintf('EXECUTE %s %s_v%d()',
+                            self.postgresVersion >= 11 ?
+                            'FUNCTION' : 'PROCEDURE', tg.procname,
+                            tg.version)
+                    }
+                };
+            });
+        });
+    });
+
+    return ({ rows: rows });
+};
+
+
+/*
+ * Selects columns from the rows of a bucket (or catalog table) matching a
+ * conjunction of "column = $n", "column != $n" and "column LIKE $n"
+ * conditions, with an optional LIMIT.  Column names are matched
+ * case-insensitively, as PostgreSQL folds them.
+ */
+MemoryMorayBackend.prototype.select = function select(sql, values) {
+    var m = SELECT_RE.exec(sql);
+    var bucket = CATALOG_RE.test(m[2]) ?
+        this.catalog(m[2]) : this.getBucket(m[2]);
+    var limit = m[4] ? parseInt(m[4], 10) : Infinity;
+    var cols, conds, rows;
+
+    function column(row, name) {
+        var lower = name.toLowerCase();
+        var k;
+
+        if (INTERNAL_FIELDS.hasOwnProperty(lower))
+            return (fieldValue(row, lower));
+
+        for (k in row.value) {
+            if (k.toLowerCase() === lower)
+                return (row.value[k]);
+        }
+
+        return (undefined);
+    }
+
+    cols = m[1].split(',').map(function (c) {
+        return (c.trim());
+    });
+    conds = m[3].split(/\s+AND\s+/i).map(function (c) {
+        var cm = CONDITION_RE.exec(c.trim());
+        if (!cm) {
+            throw (morayError('NotImplementedError',
+                sprintf('unsupported condition in statement: %s', c)));
+        }
+        var value = String(values[parseInt(cm[3], 10) - 1]);
+        var like;
+
+        if (cm[2].toUpperCase() === 'LIKE') {
+            like = likeRegExp(value);
+            return ({
+                column: cm[1],
+                test: function (v) {
+                    return (v !== undefined && v !== null &&
+                        like.test(String(v)));
+                }
+            });
+        }
+
+        return ({
+            column: cm[1],
+            test: function (v) {
+                return ((String(v) === value) === (cm[2] === '='));
+            }
+        });
+    });
+
+    rows = Object.keys(bucket.rows).sort().map(function (k) {
+        return (bucket.rows[k]);
+    }).filter(function (row) {
+        return (conds.every(function (c) {
+            return (c.test(column(row, c.column)));
+        }));
+    }).slice(0, limit);
+
+    return (rows.map(function (row) {
+        var r = {};
+        cols.forEach(function (c) {
+            r[c] = column(row, c);
+        });
+        return (r);
+    }));
+};
+
+/*
+ * Handles the statements libmanta sends through the Moray "sql" RPC to manage
+ * stored procedures and versioned triggers, or to inspect them with simple
+ * selects (see select()).  Returns the rows the real statement would produce.
+ */
+MemoryMorayBackend.prototype.sql = function sql(stmt, values) {
+    var self = this;
+    var rows = [];
+    var found = false;
+    var m;
+
+    if (SELECT_RE.test(stmt))
+        return (this.select(stmt, values || []));
+
+    FUNCTION_RE.lastIndex = 0;
+    while ((m = FUNCTION_RE.exec(stmt)) !== null) {
+        found = true;
+        this.functions[m[1]] = functionBody(stmt.slice(m.index));
+    }
+
+    VERSIONED_TRIGGER_RE.lastIndex = 0;
+    while ((m = VERSIONED_TRIGGER_RE.exec(stmt)) !== null) {
+        found = true;
+        rows.push({
+            manta_update_versioned_trigger: self.updateVersionedTrigger(
+                m[1], m[2], parseInt(m[3], 10), m[4])
+        });
+    }
+
+    if (!found) {
+        throw (morayError('NotImplementedError',
+            sprintf('unsupported statement: %s', stmt)));
+    }
+
+    return (rows);
+};
+
+
+/*
+ * The same decision manta_update_versioned_trigger() makes in
+ * trigger_update.plpgsql: never replace a trigger with an older version.
+ */
+MemoryMorayBackend.prototype.updateVersionedTrigger =
+function updateVersionedTrigger(table, trigger, version, procname) {
+    var triggers, current;
+
+    if (this.functions['manta_update_versioned_trigger'] === undefined) {
+        throw (morayError('InternalError', 'function ' +
+            'manta_update_versioned_trigger() does not exist'));
+    }
+
+    if (this.functions[procname + '_v' + version] === undefined) {
+        throw (morayError('InternalError',
+            sprintf('function %s_v%d() does not exist', procname, version)));
+    }
+
+    triggers = this.triggers[table] = this.triggers[table] || {};
+    current = triggers[trigger];
+    if (current && current.procname === procname &&
+        current.version >= version) {
+        return ('no changes needed');
+    }
+
+    triggers[trigger] = {
+        procname: procname,
+        version: version
+    };
+
+    return ('installed version ' + version);
+};
+
+
+
+///--- Client
+
+/**
+ * A client for a MemoryMorayBackend, implementing the same methods (and
+ * callback/emitter conventions) as node-moray's MorayClient.
+ */
+function MemoryMorayClient(backend, opts) {
+    var self = this;
+
+    assert.object(backend, 'backend');
+    assert.object(opts, 'options');
+    assert.object(opts.log, 'options.log');
+
+    EventEmitter.call(this);
+
+    this.backend = backend;
+    this.closed = false;
+    this.log = opts.log;
+
+    setImmediate(function () {
+        if (!self.closed)
+            self.emit('connect');
+    });
+}
+util.inherits(MemoryMorayClient, EventEmitter);
+
+
+/*
+ * Runs `func` asynchronously, reporting an error instead if the client has
+ * been closed.
+ */
+MemoryMorayClient.prototype.run = function run(cb, func) {
+    if (this.closed) {
+        setImmediate(cb, morayError('NoConnectionError',
+            'client has been closed'));
+        return;
+    }
+
+    func();
+};
+
+
+MemoryMorayClient.prototype.putBucket = function putBucket(b, cfg, opts, cb) {
+    var backend = this.backend;
+
+    assert.string(b, 'bucket');
+    assert.object(cfg, 'config');
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.object(opts, 'options');
+    assert.func(cb, 'callback');
+
+    this.run(cb, function () {
+        backend.transaction(function (done) {
+            try {
+                backend.putBucket(b, cfg);
+            } catch (e) {
+                done(e);
+                return;
+            }
+            done();
+        }, cb);
+    });
+};
+
+
+MemoryMorayClient.prototype.getBucket = function getBucket(b, opts, cb) {
+    var backend = this.backend;
+
+    assert.string(b, 'bucket');
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.object(opts, 'options');
+    assert.func(cb, 'callback');
+
+    this.run(cb, function () {
+        var bucket;
+
+        try {
+            bucket = backend.getBucket(b);
+        } catch (e) {
+            setImmediate(cb, e);
+            return;
+        }
+
+        setImmediate(cb, null, {
+            name: bucket.name,
+            index: wireCopy(bucket.index),
+            pre: bucket.pre.slice(),
+            post: bucket.post.slice(),
+            options: wireCopy(bucket.options),
+            mtime: bucket.mtime
+        });
+    });
+};
+
+
+MemoryMorayClient.prototype.delBucket = function delBucket(b, opts, cb) {
+    var backend = this.backend;
+
+    assert.string(b, 'bucket');
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.object(opts, 'options');
+    assert.func(cb, 'callback');
+
+    this.run(cb, function () {
+        backend.transaction(function (done) {
+            try {
+                backend.getBucket(b);
+            } catch (e) {
+                done(e);
+                return;
+            }
+            delete backend.buckets[b];
+            delete backend.triggers[b];
+            done();
+        }, cb);
+    });
+};
+MemoryMorayClient.prototype.deleteBucket =
+    MemoryMorayClient.prototype.delBucket;
+
+
+MemoryMorayClient.prototype.putObject = function putObject(b, k, v, opts, cb) {
+    var backend = this.backend;
+    var log = this.log;
+
+    assert.string(b, 'bucket');
+    assert.string(k, 'key');
+    assert.object(v, 'value');
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.object(opts, 'options');
+    assert.func(cb, 'callback');
+
+    this.run(cb, function () {
+        backend.transaction(function (done) {
+            backend.putObject(log, b, k, v, opts, done);
+        }, cb);
+    });
+};
+
+
+MemoryMorayClient.prototype.getObject = function getObject(b, k, opts, cb) {
+    var backend = this.backend;
+
+    assert.string(b, 'bucket');
+    assert.string(k, 'key');
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.object(opts, 'options');
+    assert.func(cb, 'callback');
+
+    this.run(cb, function () {
+        var row;
+
+        try {
+            row = backend.getBucket(b).rows[k];
+        } catch (e) {
+            setImmediate(cb, e);
+            return;
+        }
+
+        if (!row) {
+            setImmediate(cb, morayError('ObjectNotFoundError',
+                sprintf('%s::%s does not exist', b, k)));
+            return;
+        }
+
+        setImmediate(cb, null, rowToObject(b, row));
+    });
+};
+
+
+MemoryMorayClient.prototype.delObject = function delObject(b, k, opts, cb) {
+    var backend = this.backend;
+    var log = this.log;
+
+    assert.string(b, 'bucket');
+    assert.string(k, 'key');
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.object(opts, 'options');
+    assert.func(cb, 'callback');
+
+    this.run(cb, function () {
+        backend.transaction(function (done) {
+            backend.delObject(log, b, k, opts, done);
+        }, cb);
+    });
+};
+MemoryMorayClient.prototype.deleteObject =
+    MemoryMorayClient.prototype.delObject;
+
+
+MemoryMorayClient.prototype.findObjects = function findObjects(b, f, opts) {
+    var backend = this.backend;
+    var res = new EventEmitter();
+
+    assert.string(b, 'bucket');
+    assert.string(f, 'filter');
+    assert.optionalObject(opts, 'options');
+    opts = opts || {};
+
+    this.run(function (err) {
+        res.emit('error', err);
+    }, function () {
+        var records;
+
+        try {
+            records = backend.find(b, f, opts);
+        } catch (e) {
+            setImmediate(function () {
+                res.emit('error', e);
+            });
+            return;
+        }
+
+        setImmediate(function () {
+            records.forEach(function (r) {
+                res.emit('record', r);
+            });
+            res.emit('end');
+        });
+    });
+
+    return (res);
+};
+MemoryMorayClient.prototype.find = MemoryMorayClient.prototype.findObjects;
+
+
+/*
+ * Applies each request in a single transaction.  Supported operations are
+ * "put" (the default), "delete", "update" and "deleteMany".
+ */
+MemoryMorayClient.prototype.batch = function batch(requests, opts, cb) {
+    var backend = this.backend;
+    var log = this.log;
+
+    assert.arrayOfObject(requests, 'requests');
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.object(opts, 'options');
+    assert.func(cb, 'callback');
+
+    function applyRequest(etags, r, next) {
+        var ropts = r.options || {};
+        var op = r.operation || 'put';
+
+        function done(err, meta) {
+            if (!err && meta) {
+                etags.push({
+                    bucket: r.bucket,
+                    key: r.key,
+                    etag: meta.etag
+                });
+            }
+            next(err);
+        }
+
+        switch (op) {
+        case 'put':
+            backend.putObject(log, r.bucket, r.key, r.value, ropts, done);
+            break;
+        case 'delete':
+            backend.delObject(log, r.bucket, r.key, ropts, done);
+            break;
+        case 'update':
+        case 'deleteMany':
+            vasync.forEachPipeline({
+                inputs: backend.find(r.bucket, r.filter, {
+                    limit: Infinity
+                }),
+                func: function (obj, cb2) {
+                    if (op === 'deleteMany') {
+                        backend.delObject(log, r.bucket, obj.key, {}, cb2);
+                        return;
+                    }
+                    backend.putObject(log, r.bucket, obj.key,
+                        extend(obj.value, r.fields), {}, cb2);
+                }
+            }, function (err) {
+                next(err);
+            });
+            break;
+        default:
+            next(morayError('InvalidArgumentError',
+                sprintf('%s is not a valid batch operation', op)));
+            break;
+        }
+    }
+
+    this.run(cb, function () {
+        backend.transaction(function (done) {
+            var etags = [];
+
+            vasync.forEachPipeline({
+                inputs: requests,
+                func: function (r, next) {
+                    try {
+                        applyRequest(etags, r, next);
+                    } catch (e) {
+                        next(e);
+                    }
+                }
+            }, function (err) {
+                done(err, err ? undefined : { etags: etags });
+            });
+        }, cb);
+    });
+};
+
+
+MemoryMorayClient.prototype.sql = function sql(stmt, vals, opts) {
+    var backend = this.backend;
+    var res = new EventEmitter();
+
+    assert.string(stmt, 'statement');
+    if (vals !== undefined && !Array.isArray(vals)) {
+        opts = vals;
+        vals = [];
+    }
+    assert.optionalObject(opts, 'options');
+
+    this.run(function (err) {
+        res.emit('error', err);
+    }, function () {
+        backend.transaction(function (done) {
+            var rows;
+
+            try {
+                rows = backend.sql(stmt, vals);
+            } catch (e) {
+                done(e);
+                return;
+            }
+            done(null, rows);
+        }, function (err, rows) {
+            if (err) {
+                res.emit('error', err);
+                return;
+            }
+
+            rows.forEach(function (r) {
+                res.emit('record', r);
+            });
+            res.emit('end');
+        });
+    });
+
+    return (res);
+};
+
+
+MemoryMorayClient.prototype.reindexObjects =
+function reindexObjects(b, count, opts, cb) {
+    var backend = this.backend;
+
+    assert.string(b, 'bucket');
+    assert.number(count, 'count');
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.object(opts, 'options');
+    assert.func(cb, 'callback');
+
+    this.run(cb, function () {
+        backend.transaction(function (done) {
+            var res;
+
+            try {
+                res = backend.reindexObjects(b, count);
+            } catch (e) {
+                done(e);
+                return;
+            }
+            done(null, res);
+        }, cb);
+    });
+};
+
+
+MemoryMorayClient.prototype.ping = function ping(opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.object(opts, 'options');
+    assert.func(cb, 'callback');
+
+    this.run(cb, function () {
+        setImmediate(cb);
+    });
+};
+
+
+MemoryMorayClient.prototype.close = function close() {
+    var self = this;
+
+    if (this.closed)
+        return;
+
+    this.closed = true;
+    setImmediate(function () {
+        self.emit('close');
+    });
+};
+
+
+MemoryMorayClient.prototype.toString = function toString() {
+    return ('[object MemoryMorayClient]');
+};
+
+
+
+///--- Exports
+
+module.exports = {
+    createMemoryMorayBackend: function createMemoryMorayBackend(opts) {
+        return (new MemoryMorayBackend(opts));
+    },
+
+    MemoryMorayBackend: MemoryMorayBackend
+};
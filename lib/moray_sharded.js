@@ -0,0 +1,490 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+//
+// A metadata client that talks to the Moray shards directly, rather than
+// through electric-moray.  It holds one Moray client (see moray.js) per shard,
+// and routes each request to the shard that electric-moray would have: keys
+// are placed by the hash of their directory name on a consistent-hash ring of
+// virtual nodes ("vnodes"), each of which belongs to a shard.  This is meant
+// for tooling that works shard by shard (GC, audits, rebuilds):
+//
+//     var sharded = libmanta.createShardedMorayClient({
+//         log: log,
+//         readOnly: true,
+//         ring: {
+//             algorithm: 'sha256',
+//             vnodes: [ '1.moray.us-east.joyent.us', ... ]  // by vnode
+//         },
+//         shards: {
+//             '1.moray.us-east.joyent.us': {
+//                 morayOptions: { srvDomain: '1.moray.us-east.joyent.us' }
+//             },
+//             ...
+//         }
+//     });
+//
+
+var crypto = require('crypto');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var assert = require('assert-plus');
+var once = require('once');
+var vasync = require('vasync');
+
+var moray = require('./moray');
+var utils = require('./utils');
+
+
+
+///--- Globals
+
+var sprintf = util.format;
+
+
+
+///--- Internals
+
+/*
+ * The hash ring works on numbers as large as the digest (256 bits for SHA-256),
+ * which we keep as arrays of 16-bit limbs, most significant first.
+ */
+function parseLimbs(hex) {
+    var limbs = [];
+    var i;
+
+    while (hex.length % 4 !== 0)
+        hex = '0' + hex;
+
+    for (i = 0; i < hex.length; i += 4)
+        limbs.push(parseInt(hex.substr(i, 4), 16));
+
+    return (limbs);
+}
+
+
+/* Returns floor(a / d), for an integer 0 < d < 2^31. */
+function divLimbs(a, d) {
+    var r = 0;
+
+    return (a.map(function (limb) {
+        var n = r * 65536 + limb;
+        var q = Math.floor(n / d);
+
+        r = n - q * d;
+        return (q);
+    }));
+}
+
+
+/* Returns a * m, for an integer 0 <= m < 2^31. */
+function mulLimbs(a, m) {
+    var carry = 0;
+    var product = [];
+    var i, n;
+
+    for (i = a.length - 1; i >= 0; i--) {
+        n = a[i] * m + carry;
+        product.unshift(n % 65536);
+        carry = Math.floor(n / 65536);
+    }
+
+    while (carry > 0) {
+        product.unshift(carry % 65536);
+        carry = Math.floor(carry / 65536);
+    }
+
+    return (product);
+}
+
+
+function compareLimbs(a, b) {
+    var i;
+
+    while (a.length < b.length)
+        a = [ 0 ].concat(a);
+    while (b.length < a.length)
+        b = [ 0 ].concat(b);
+
+    for (i = 0; i < a.length; i++) {
+        if (a[i] !== b[i])
+            return (a[i] < b[i] ? -1 : 1);
+    }
+
+    return (0);
+}
+
+
+/* An approximation of the value of `a`, good to about 53 bits. */
+function approxLimbs(a) {
+    return (a.reduce(function (n, limb) {
+        return (n * 65536 + limb);
+    }, 0));
+}
+
+
+/*
+ * Returns the vnode that `key` hashes to, as node-fash (and so electric-moray)
+ * computes it: the ring's digest of the key divided by the size of each
+ * vnode's share of the hash space, which is the largest digest divided by the
+ * number of vnodes.  Both divisions round down.
+ */
+function hashVnode(algorithm, interval, key) {
+    var hash = parseLimbs(crypto.createHash(algorithm).update(key)
+        .digest('hex'));
+    var vnode = Math.floor(approxLimbs(hash) / approxLimbs(interval));
+
+    /* The estimate can be off by one either way; correct it exactly. */
+    while (vnode > 0 && compareLimbs(mulLimbs(interval, vnode), hash) > 0)
+        vnode--;
+    while (compareLimbs(mulLimbs(interval, vnode + 1), hash) <= 0)
+        vnode++;
+
+    return (vnode);
+}
+
+
+
+///--- API
+
+/**
+ * Creates a Moray client (see createMorayClient) for each shard in
+ * `options.shards`, from the options given for that shard on top of the
+ * remaining options, and routes metadata requests among them by
+ * `options.ring`.  The ring has the hash `algorithm` electric-moray uses
+ * ("sha256" by default), and `vnodes`: the shard of each vnode, as an array
+ * indexed by vnode or an object keyed by it.
+ *
+ * Emits 'connect' once every shard's client has connected, and re-emits any
+ * 'error' from them.
+ */
+function ShardedMoray(options) {
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.object(options.ring, 'options.ring');
+    assert.optionalString(options.ring.algorithm, 'options.ring.algorithm');
+    assert.object(options.ring.vnodes, 'options.ring.vnodes');
+    assert.object(options.shards, 'options.shards');
+
+    EventEmitter.call(this);
+
+    var common = {};
+    var connected = 0;
+    var names = Object.keys(options.shards);
+    var self = this;
+    var vnodes = options.ring.vnodes;
+    var max;
+
+    this.log = options.log.child({ component: 'ShardedMorayClient' }, true);
+
+    this.algorithm = options.ring.algorithm || 'sha256';
+    this.vnodes = Object.keys(vnodes).map(function (v) {
+        return (vnodes[v]);
+    });
+    this.vnodes.forEach(function (shard, v) {
+        assert.ok(vnodes.hasOwnProperty(v), 'options.ring.vnodes must ' +
+            'have vnodes 0 to ' + (self.vnodes.length - 1));
+        assert.string(shard, 'options.ring.vnodes[' + v + ']');
+        assert.ok(options.shards.hasOwnProperty(shard),
+            'vnode ' + v + ' is on unknown shard ' + shard);
+    });
+    assert.ok(this.vnodes.length > 0, 'options.ring.vnodes is empty');
+
+    max = crypto.createHash(this.algorithm).digest('hex').replace(/./g, 'f');
+    this.interval = divLimbs(parseLimbs(max), this.vnodes.length);
+
+    Object.keys(options).forEach(function (k) {
+        if (k !== 'ring' && k !== 'shards')
+            common[k] = options[k];
+    });
+
+    this.shards = {};
+    names.forEach(function (name) {
+        var shardOptions = {};
+        var client;
+
+        assert.object(options.shards[name], 'options.shards.' + name);
+        Object.keys(common).forEach(function (k) {
+            shardOptions[k] = common[k];
+        });
+        Object.keys(options.shards[name]).forEach(function (k) {
+            shardOptions[k] = options.shards[name][k];
+        });
+        shardOptions.log = self.log.child({ shard: name }, true);
+
+        client = self.shards[name] = moray.createMorayClient(shardOptions);
+        client.on('error', self.emit.bind(self, 'error'));
+        client.once('connect', function () {
+            if (++connected === names.length) {
+                self.log.info({
+                    shards: names.length
+                }, 'ShardedMoray: connected');
+                self.emit('connect');
+            }
+        });
+    });
+}
+util.inherits(ShardedMoray, EventEmitter);
+
+
+/*
+ * Returns the vnode and shard that metadata in directory `dirname` is
+ * stored on, and the Moray client for that shard.
+ */
+ShardedMoray.prototype.locate = function locate(dirname) {
+    assert.string(dirname, 'dirname');
+
+    var vnode = hashVnode(this.algorithm, this.interval, dirname);
+    var shard = this.vnodes[vnode];
+
+    return ({
+        vnode: vnode,
+        shard: shard,
+        client: this.shards[shard]
+    });
+};
+
+
+/*
+ * Returns the Moray client for the shard that stores `key`, which is the one
+ * its directory name (as putMetadata records it) hashes to.
+ */
+ShardedMoray.prototype.shardFor = function shardFor(key) {
+    assert.string(key, 'key');
+
+    return (this.locate(moray.keyDirname(key)).client);
+};
+
+
+ShardedMoray.prototype.putMetadata = function putMetadata(options, cb) {
+    assert.object(options, 'options');
+    assert.string(options.key, 'options.key');
+
+    this.shardFor(options.key).putMetadata(options, cb);
+};
+
+
+ShardedMoray.prototype.getMetadata = function getMetadata(options, cb) {
+    assert.object(options, 'options');
+    assert.string(options.key, 'options.key');
+
+    this.shardFor(options.key).getMetadata(options, cb);
+};
+
+
+ShardedMoray.prototype.delMetadata = function delMetadata(options, cb) {
+    assert.object(options, 'options');
+    assert.string(options.key, 'options.key');
+
+    this.shardFor(options.key).delMetadata(options, cb);
+};
+
+
+/*
+ * A directory's count is kept with the entries it counts, on the shard that
+ * the directory itself (as a dirname) hashes to.
+ */
+ShardedMoray.prototype.getDirectoryCount =
+function getDirectoryCount(options, cb) {
+    assert.object(options, 'options');
+    assert.string(options.directory, 'options.directory');
+
+    this.locate(options.directory).client.getDirectoryCount(options, cb);
+};
+
+
+/*
+ * Runs a search on every shard, or only on the shard for `options.hashkey`
+ * (a directory name) if that is given, and returns an EventEmitter which
+ * emits 'record' for the records from all of them, as each shard returns
+ * them, and then 'end', or 'error' with the first error (after which it emits
+ * nothing more).  Sorting, limits and offsets apply to each shard separately.
+ */
+ShardedMoray.prototype.search = function search(options) {
+    assert.object(options, 'options');
+    assert.string(options.filter, 'options.filter');
+    assert.string(options.requestId, 'options.requestId');
+
+    var clients;
+    var done = 0;
+    var log = this.log;
+    var res = new EventEmitter();
+    var self = this;
+
+    if (options.hashkey) {
+        clients = [ this.locate(options.hashkey).client ];
+    } else {
+        clients = Object.keys(this.shards).map(function (name) {
+            return (self.shards[name]);
+        });
+    }
+
+    log.debug({
+        filter: options.filter,
+        shards: clients.length,
+        requestId: options.requestId
+    }, 'ShardedMoray.search: entered');
+
+    var fail = once(function (err) {
+        log.debug({
+            err: err,
+            requestId: options.requestId
+        }, 'ShardedMoray.search: error');
+        res.emit('error', err);
+    });
+
+    clients.forEach(function (client) {
+        var req;
+
+        try {
+            req = client.search(options);
+        } catch (err) {
+            /* Let the caller listen for 'error' first. */
+            setImmediate(fail, err);
+            return;
+        }
+
+        req.on('record', function (record) {
+            if (!fail.called)
+                res.emit('record', record);
+        });
+        req.once('error', fail);
+        req.once('end', function () {
+            if (++done === clients.length && !fail.called) {
+                log.debug({
+                    requestId: options.requestId
+                }, 'ShardedMoray.search: done');
+                res.emit('end');
+            }
+        });
+    });
+
+    return (res);
+};
+
+
+/*
+ * Finds the keys that reference `options.objectId` on every shard (see
+ * Moray.findReferences), and calls back with all of them, sorted by key.
+ */
+ShardedMoray.prototype.findReferences = function findReferences(options, cb) {
+    assert.object(options, 'options');
+    assert.string(options.objectId, 'options.objectId');
+    assert.string(options.requestId, 'options.requestId');
+    assert.func(cb, 'callback');
+
+    var self = this;
+
+    vasync.forEachParallel({
+        inputs: Object.keys(this.shards),
+        func: function (name, next) {
+            self.shards[name].findReferences(options, next);
+        }
+    }, function (err, results) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        var refs = [];
+        results.successes.forEach(function (r) {
+            refs = refs.concat(r);
+        });
+        refs.sort(function (a, b) {
+            return (a.key < b.key ? -1 : (a.key > b.key ? 1 : 0));
+        });
+        cb(null, refs);
+    });
+};
+
+
+ShardedMoray.prototype.close = function close(callback) {
+    var self = this;
+    var names = Object.keys(this.shards);
+    var closed = 0;
+    var failed = null;
+
+    names.forEach(function (name) {
+        self.shards[name].close(function (err) {
+            failed = failed || err || null;
+            if (++closed === names.length && callback)
+                callback(failed);
+        });
+    });
+};
+
+
+/*
+ * Shuts down every shard's client (see Moray.shutdown) with `options`, and
+ * calls `callback` once they have all closed.
+ */
+ShardedMoray.prototype.shutdown = function shutdown(options, callback) {
+    if (typeof (options) === 'function') {
+        callback = options;
+        options = {};
+    }
+    assert.optionalObject(options, 'options');
+    assert.optionalFunc(callback, 'callback');
+
+    var self = this;
+    var names = Object.keys(this.shards);
+    var closed = 0;
+
+    this.log.info({
+        shards: names.length
+    }, 'ShardedMoray.shutdown: entered');
+
+    names.forEach(function (name) {
+        self.shards[name].shutdown(options, function () {
+            if (++closed === names.length) {
+                self.log.info('ShardedMoray.shutdown: done');
+                if (callback)
+                    callback();
+            }
+        });
+    });
+};
+
+
+/*
+ * Returns the number of metadata operations running on all the shards.
+ */
+ShardedMoray.prototype.getInflightCount = function getInflightCount() {
+    var self = this;
+
+    return (Object.keys(this.shards).reduce(function (n, name) {
+        return (n + self.shards[name].getInflightCount());
+    }, 0));
+};
+
+
+ShardedMoray.prototype.toString = function toString() {
+    return (sprintf('[object ShardedMoray <shards=%d, vnodes=%d>]',
+        Object.keys(this.shards).length, this.vnodes.length));
+};
+
+
+utils.promisifyMethods(ShardedMoray.prototype, [
+    'putMetadata',
+    'getMetadata',
+    'delMetadata',
+    'getDirectoryCount'
+]);
+
+
+
+///--- Exports
+
+module.exports = {
+    createShardedMorayClient: function createShardedMorayClient(opts) {
+        return (new ShardedMoray(opts));
+    }
+};
@@ -93,10 +93,55 @@ function normalizeMantaPath(opts, cb) {
 
 
 
+/**
+ * Adds a promise-returning variant, `<name>Async`, of each of the named
+ * callback methods of `proto`.  A variant takes the same arguments as its
+ * method (less the callback), and resolves with the first result or rejects
+ * with the error the method would have passed to its callback:
+ *
+ * moray.getMetadataAsync({key: key, requestId: id}).then(function (md) {
+ *   ...
+ * }, function (err) {
+ *   // err is e.g. an ObjectNotFoundError
+ * });
+ *
+ * Variants need a global Promise, and throw if there is none.
+ */
+function promisifyMethods(proto, names) {
+    assert.object(proto, 'prototype');
+    assert.arrayOfString(names, 'names');
+
+    names.forEach(function (name) {
+        assert.func(proto[name], name);
+
+        proto[name + 'Async'] = function () {
+            if (typeof (Promise) !== 'function')
+                throw new Error(name + 'Async requires Promise support');
+
+            var args = Array.prototype.slice.call(arguments);
+            var self = this;
+
+            return (new Promise(function (resolve, reject) {
+                args.push(function (err, result) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(result);
+                    }
+                });
+                self[name].apply(self, args);
+            }));
+        };
+    });
+}
+
+
+
 ///--- Exports
 
 module.exports = {
     getLogLevel: getLogLevel,
     normalizeMantaPath: normalizeMantaPath,
+    promisifyMethods: promisifyMethods,
     shuffle: shuffle
 };
\ No newline at end of file
@@ -12,6 +12,15 @@ var bunyan = require('bunyan');
 var once = require('once');
 var libuuid = require('libuuid');
 
+var libmanta = require('../lib');
+
+
+
+///--- Globals
+
+// Shared by every in-memory Moray client created from one test file
+var MEMORY_BACKEND = null;
+
 
 
 ///--- Helpers
@@ -27,6 +36,33 @@ function createLogger(name, stream) {
     return (log);
 }
 
+/*
+ * Creates a libmanta Moray client.  When ELECTRIC_MORAY is set in the
+ * environment, the client talks to that deployment; otherwise it uses an
+ * in-memory backend, so the tests can run without a Manta deployment.
+ */
+function createMorayClient(opts) {
+    var _opts = {
+        log: createLogger()
+    };
+
+    Object.keys(opts || {}).forEach(function (k) {
+        _opts[k] = opts[k];
+    });
+
+    if (process.env.ELECTRIC_MORAY) {
+        _opts.morayOptions = {
+            srvDomain: process.env.ELECTRIC_MORAY
+        };
+    } else {
+        if (!MEMORY_BACKEND)
+            MEMORY_BACKEND = libmanta.createMemoryMorayBackend();
+        _opts.backend = MEMORY_BACKEND;
+    }
+
+    return (libmanta.createMorayClient(_opts));
+}
+
 ///--- Helpers
 
 function makeKey(customer, path) {
@@ -108,5 +144,7 @@ module.exports = {
 
     createLogger: createLogger,
 
+    createMorayClient: createMorayClient,
+
     makeOpts: makeOpts
 };
@@ -0,0 +1,186 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+var once = require('once');
+var libuuid = require('libuuid');
+
+var libmanta = require('../lib');
+
+if (require.cache[__dirname + '/helper.js'])
+    delete require.cache[__dirname + '/helper.js'];
+var helper = require('./helper.js');
+
+
+
+///--- Globals
+
+var after = helper.after;
+var before = helper.before;
+var test = helper.test;
+var makeOpts = helper.makeOpts;
+
+
+
+///--- Helpers
+
+/* Returns the value of the sample in `text` named `name` (labels and all). */
+function sample(text, name) {
+    var lines = text.split('\n').filter(function (l) {
+        return (l.indexOf(name + ' ') === 0);
+    });
+
+    if (lines.length === 0)
+        return (undefined);
+
+    return (Number(lines[0].split(' ').pop()));
+}
+
+
+
+///--- Tests
+
+before(function (cb) {
+    cb = once(cb);
+
+    this.metrics = libmanta.createMetricsCollector();
+    this.ring = helper.createMorayClient({
+        metrics: this.metrics
+    });
+
+    this.ring.once('error', cb);
+    this.ring.once('connect', cb);
+});
+
+
+after(function (cb) {
+    if (this.ring)
+        this.ring.close();
+    cb();
+});
+
+
+test('counters render in text format', function (t) {
+    var metrics = libmanta.createMetricsCollector();
+    var c = metrics.counter({
+        name: 'muskie_things_total',
+        help: 'things'
+    });
+
+    c.increment({ kind: 'a' });
+    c.increment({ kind: 'a' }, 2);
+    c.increment({ kind: 'b"\n' });
+
+    t.equal(metrics.collect(),
+        '# HELP muskie_things_total things\n' +
+        '# TYPE muskie_things_total counter\n' +
+        'muskie_things_total{kind="a"} 3\n' +
+        'muskie_things_total{kind="b\\"\\n"} 1\n');
+    t.equal(metrics.counter({ name: 'muskie_things_total', help: 'x' }), c);
+    t.end();
+});
+
+
+test('histograms render cumulative buckets', function (t) {
+    var metrics = libmanta.createMetricsCollector();
+    var h = metrics.histogram({
+        name: 'muskie_size',
+        help: 'sizes',
+        buckets: [ 10, 1 ]
+    });
+
+    h.observe({}, 0.5);
+    h.observe({}, 5);
+    h.observe({}, 50);
+
+    t.equal(metrics.collect(),
+        '# HELP muskie_size sizes\n' +
+        '# TYPE muskie_size histogram\n' +
+        'muskie_size_bucket{le="1"} 1\n' +
+        'muskie_size_bucket{le="10"} 2\n' +
+        'muskie_size_bucket{le="+Inf"} 3\n' +
+        'muskie_size_sum 55.5\n' +
+        'muskie_size_count 3\n');
+    t.throws(function () {
+        metrics.counter({ name: 'muskie_size', help: 'sizes' });
+    });
+    t.end();
+});
+
+
+test('moray operations are counted and timed', function (t) {
+    var metrics = this.metrics;
+    var ring = this.ring;
+    var opts = makeOpts();
+
+    ring.putMetadata(opts, function (err) {
+        t.ifError(err);
+        ring.getMetadata({
+            key: '/' + opts.owner + '/stor/missing',
+            requestId: libuuid.create()
+        }, function (err2) {
+            t.ok(err2);
+
+            var text = metrics.collect();
+            t.equal(sample(text,
+                'libmanta_moray_requests_total{method="putMetadata"}'), 1);
+            t.equal(sample(text,
+                'libmanta_moray_requests_total{method="getMetadata"}'), 1);
+            t.equal(sample(text, 'libmanta_moray_errors_total' +
+                '{error="ObjectNotFoundError",method="getMetadata"}'), 1);
+            t.equal(sample(text, 'libmanta_moray_errors_total' +
+                '{error="ObjectNotFoundError",method="putMetadata"}'),
+                undefined);
+            t.equal(sample(text, 'libmanta_moray_request_duration_seconds' +
+                '_count{method="putMetadata"}'), 1);
+            t.end();
+        });
+    });
+});
+
+
+test('moray searches are counted when they end', function (t) {
+    var metrics = this.metrics;
+    var opts = makeOpts();
+    var req = this.ring.search({
+        filter: '(owner=' + opts.owner + ')',
+        requestId: libuuid.create()
+    });
+
+    req.once('error', function (err) {
+        t.ifError(err);
+        t.end();
+    });
+    req.once('end', function () {
+        t.equal(sample(metrics.collect(),
+            'libmanta_moray_requests_total{method="search"}'), 1);
+        t.end();
+    });
+});
+
+
+test('handler serves the collected metrics', function (t) {
+    var metrics = this.metrics;
+    var headers;
+    var res = {
+        writeHead: function (code, h) {
+            t.equal(code, 200);
+            headers = h;
+        },
+        end: function (body) {
+            t.equal(body, metrics.collect());
+            t.equal(headers['Content-Type'], 'text/plain; version=0.0.4');
+            t.equal(headers['Content-Length'], Buffer.byteLength(body));
+        }
+    };
+
+    metrics.handler()({}, res, function () {
+        t.end();
+    });
+});
@@ -12,8 +12,6 @@ var once = require('once');
 var libuuid = require('libuuid');
 var vasync = require('vasync');
 
-var libmanta = require('../lib');
-
 if (require.cache[__dirname + '/helper.js'])
     delete require.cache[__dirname + '/helper.js'];
 var helper = require('./helper.js');
@@ -32,11 +30,6 @@ var makeOpts = helper.makeOpts;
 before(function (cb) {
     cb = once(cb);
 
-    if (!process.env.ELECTRIC_MORAY) {
-        cb(new Error('ELECTRIC_MORAY must be specified'));
-        return;
-    }
-
     /*
      * Create both a read-only and standard
      * moray client.
@@ -54,12 +47,8 @@ before(function (cb) {
     });
 
     barrier.start('read-only ring');
-    this.roRing = libmanta.createMorayClient({
-        readOnly: true,
-        log: helper.createLogger(),
-        morayOptions: {
-            srvDomain: process.env.ELECTRIC_MORAY
-        }
+    this.roRing = helper.createMorayClient({
+        readOnly: true
     });
     this.roRing.once('connect', function () {
         barrier.done('read-only ring');
@@ -70,12 +59,7 @@ before(function (cb) {
     });
 
     barrier.start('ring');
-    this.ring = libmanta.createMorayClient({
-        log: helper.createLogger(),
-        morayOptions:  {
-            srvDomain: process.env.ELECTRIC_MORAY
-        }
-    });
+    this.ring = helper.createMorayClient();
     this.ring.once('connect', function () {
         barrier.done('ring');
     });
@@ -8,7 +8,12 @@
  * Copyright (c) 2017, Joyent, Inc.
  */
 
+var EventEmitter = require('events').EventEmitter;
+var path = require('path');
+
 var once = require('once');
+var libuuid = require('libuuid');
+var vasync = require('vasync');
 
 var libmanta = require('../lib');
 
@@ -33,17 +38,7 @@ var gOpts = makeOpts({type: 'directory'});
 before(function (cb) {
     cb = once(cb);
 
-    if (!process.env.ELECTRIC_MORAY) {
-        cb(new Error('ELECTRIC_MORAY must be specified'));
-        return;
-    }
-
-    this.ring = libmanta.createMorayClient({
-        log: helper.createLogger(),
-        morayOptions: {
-            srvDomain: process.env.ELECTRIC_MORAY
-        }
-    });
+    this.ring = helper.createMorayClient();
 
     this.ring.once('error', cb);
     this.ring.once('connect', cb);
@@ -114,3 +109,2545 @@ test('getMetadata (directory) root', function (t) {
         t.end();
     });
 });
+
+
+///--- listDirectory
+
+function listAll(ring, opts, cb) {
+    var entries = [];
+    var res = ring.listDirectory(opts);
+
+    res.on('entry', function (e) {
+        entries.push(e);
+    });
+    res.once('error', cb);
+    res.once('end', function (next) {
+        cb(null, entries, next);
+    });
+}
+
+
+function putEntries(ring, owner, paths, cb) {
+    var done = 0;
+
+    paths.forEach(function (p) {
+        var opts = makeOpts({
+            owner: owner,
+            path: p,
+            type: /\/d[^\/]*$/.test(p) ? 'directory' : 'object'
+        });
+        ring.putMetadata(opts, function (err) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            if (++done === paths.length)
+                cb();
+        });
+    });
+}
+
+
+test('listDirectory pages through a directory', function (t) {
+    var ring = this.ring;
+    var owner = libuuid.create();
+    var dir = '/' + owner + '/stor/list';
+
+    putEntries(ring, owner, [ '/list', '/list/a', '/list/b', '/list/c',
+        '/list/d1', '/list/e' ], function (err) {
+        t.ifError(err);
+        listAll(ring, {
+            directory: dir,
+            limit: 3,
+            requestId: libuuid.create()
+        }, function (err2, page1, next) {
+            t.ifError(err2);
+            t.deepEqual(page1.map(function (e) {
+                return (e.name);
+            }), [ 'a', 'b', 'c' ]);
+            t.equal(page1[0].type, 'object');
+            t.equal(page1[0].key, dir + '/a');
+            t.ok(page1[0].etag);
+            t.equal(next, 'c');
+            listAll(ring, {
+                directory: dir,
+                limit: 3,
+                marker: next,
+                requestId: libuuid.create()
+            }, function (err3, page2, next2) {
+                t.ifError(err3);
+                t.deepEqual(page2.map(function (e) {
+                    return (e.name);
+                }), [ 'd1', 'e' ]);
+                t.equal(page2[0].type, 'directory');
+                t.equal(next2, null);
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('listDirectory sorts and filters by type', function (t) {
+    var ring = this.ring;
+    var owner = libuuid.create();
+    var dir = '/' + owner + '/stor/sorted';
+
+    putEntries(ring, owner, [ '/sorted', '/sorted/a', '/sorted/b',
+        '/sorted/d1' ], function (err) {
+        t.ifError(err);
+        listAll(ring, {
+            directory: dir,
+            sort: { attribute: 'name', order: 'DESC' },
+            type: 'object',
+            requestId: libuuid.create()
+        }, function (err2, entries, next) {
+            t.ifError(err2);
+            t.deepEqual(entries.map(function (e) {
+                return (e.name);
+            }), [ 'b', 'a' ]);
+            t.equal(next, null);
+            t.end();
+        });
+    });
+});
+
+
+test('listDirectory pages by mtime', function (t) {
+    var ring = this.ring;
+    var owner = libuuid.create();
+    var dir = '/' + owner + '/stor/bytime';
+
+    putEntries(ring, owner, [ '/bytime', '/bytime/a', '/bytime/b',
+        '/bytime/c' ], function (err) {
+        t.ifError(err);
+        listAll(ring, {
+            directory: dir,
+            limit: 2,
+            sort: { attribute: 'mtime', order: 'DESC' },
+            requestId: libuuid.create()
+        }, function (err2, page1, next) {
+            t.ifError(err2);
+            t.equal(page1.length, 2);
+            t.ok(next);
+            listAll(ring, {
+                directory: dir,
+                limit: 2,
+                marker: next,
+                sort: { attribute: 'mtime', order: 'DESC' },
+                requestId: libuuid.create()
+            }, function (err3, page2, next2) {
+                t.ifError(err3);
+                t.equal(page2.length, 1);
+                t.equal(next2, null);
+                var names = page1.concat(page2).map(function (e) {
+                    return (e.name);
+                }).sort();
+                t.deepEqual(names, [ 'a', 'b', 'c' ]);
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('listDirectory reports invalid markers as errors', function (t) {
+    var ring = this.ring;
+    var dir = '/' + libuuid.create() + '/stor/markers';
+
+    vasync.forEachPipeline({
+        inputs: [
+            { marker: 'a/b' },
+            { marker: 'name', sort: { attribute: 'mtime' } },
+            { marker: 'x1/name', sort: { attribute: 'mtime' } },
+            { marker: '1/', sort: { attribute: 'mtime' } }
+        ],
+        func: function (input, next) {
+            listAll(ring, {
+                directory: dir,
+                marker: input.marker,
+                sort: input.sort,
+                requestId: libuuid.create()
+            }, function (err) {
+                t.ok(err);
+                t.equal(err.name, 'InvalidMarkerError');
+                next();
+            });
+        }
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
+test('listDirectory excludes a top-level directory itself', function (t) {
+    var ring = this.ring;
+    var owner = libuuid.create();
+    var root = '/' + owner + '/stor';
+    var rootOpts = makeOpts({ owner: owner, type: 'directory' });
+
+    rootOpts.key = root;
+
+    ring.putMetadata(rootOpts, function (err) {
+        t.ifError(err);
+        putEntries(ring, owner, [ '/only' ], function (err2) {
+            t.ifError(err2);
+            listRoot();
+        });
+    });
+
+    function listRoot() {
+        listAll(ring, {
+            directory: root,
+            requestId: libuuid.create()
+        }, function (err3, entries) {
+            t.ifError(err3);
+            t.deepEqual(entries.map(function (e) {
+                return (e.key);
+            }), [ root + '/only' ]);
+            t.end();
+        });
+    }
+});
+
+
+///--- Conditional requests
+
+test('putMetadata ifNoneMatch only creates', function (t) {
+    var ring = this.ring;
+    var opts = makeOpts();
+
+    opts.ifNoneMatch = '*';
+    ring.putMetadata(opts, function (err) {
+        t.ifError(err);
+        ring.putMetadata(opts, function (err2) {
+            t.ok(err2);
+            t.equal(err2.name, 'IfNoneMatchFailedError');
+            t.ok(err2 instanceof libmanta.PreconditionFailedError);
+            t.end();
+        });
+    });
+});
+
+
+test('putMetadata ifMatch compares etags', function (t) {
+    var ring = this.ring;
+    var opts = makeOpts();
+
+    ring.putMetadata(opts, function (err, md) {
+        t.ifError(err);
+
+        var opts2 = makeOpts({ owner: opts.owner });
+        opts2.key = opts.key;
+        opts2.ifMatch = 'bogus';
+        ring.putMetadata(opts2, function (err2) {
+            t.ok(err2);
+            t.equal(err2.name, 'IfMatchFailedError');
+
+            opts2.ifMatch = md.etag;
+            ring.putMetadata(opts2, function (err3, md2) {
+                t.ifError(err3);
+                t.equal(md2.objectId, opts2.objectId);
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('putMetadata ifMatch requires an existing key', function (t) {
+    var opts = makeOpts();
+
+    opts.ifMatch = '*';
+    this.ring.putMetadata(opts, function (err) {
+        t.ok(err);
+        t.equal(err.name, 'IfMatchFailedError');
+        t.end();
+    });
+});
+
+
+test('delMetadata ifUnmodifiedSince', function (t) {
+    var ring = this.ring;
+    var opts = makeOpts();
+
+    ring.putMetadata(opts, function (err, md) {
+        t.ifError(err);
+        ring.delMetadata({
+            key: opts.key,
+            requestId: libuuid.create(),
+            previousMetadata: md,
+            ifUnmodifiedSince: new Date(md.mtime - 60000)
+        }, function (err2) {
+            t.ok(err2);
+            t.equal(err2.name, 'IfUnmodifiedSinceFailedError');
+            ring.delMetadata({
+                key: opts.key,
+                requestId: libuuid.create(),
+                previousMetadata: md,
+                ifUnmodifiedSince: md.mtime
+            }, function (err3) {
+                t.ifError(err3);
+                t.end();
+            });
+        });
+    });
+});
+
+
+
+///--- Batches
+
+function findAll(client, bucket, filter, cb) {
+    var records = [];
+    var req = client.findObjects(bucket, filter);
+
+    req.on('record', function (r) {
+        records.push(r);
+    });
+    req.once('error', cb);
+    req.once('end', function () {
+        cb(null, records);
+    });
+}
+
+
+test('batchMetadata puts and deletes atomically', function (t) {
+    var ring = this.ring;
+    var first = makeOpts();
+    var second = makeOpts({ owner: first.owner });
+    var upload = libuuid.create();
+
+    ring.putMetadata(first, function (err, md) {
+        t.ifError(err);
+        ring.batchMetadata({
+            requestId: libuuid.create(),
+            requests: [ {
+                operation: 'delete',
+                key: first.key,
+                previousMetadata: md
+            }, {
+                operation: 'put',
+                key: second.key,
+                owner: second.owner,
+                objectId: second.objectId,
+                contentLength: second.contentLength,
+                contentMD5: second.contentMD5,
+                contentType: second.contentType,
+                sharks: second.sharks,
+                type: second.type
+            }, {
+                operation: 'put',
+                bucket: 'manta_uploads',
+                key: upload,
+                md: {
+                    uploadId: upload,
+                    finalizingType: 'commit',
+                    owner: second.owner,
+                    requestId: libuuid.create(),
+                    objectPath: second.key,
+                    objectId: second.objectId
+                }
+            } ]
+        }, function (err2, mds) {
+            t.ifError(err2);
+            t.equal(mds.length, 3);
+            t.equal(mds[0], undefined);
+            t.equal(mds[1].dirname, '/' + second.owner + '/stor');
+            t.equal(mds[2].uploadId, upload);
+
+            ring.getMetadata({
+                key: first.key,
+                requestId: libuuid.create()
+            }, function (err3) {
+                t.ok(err3);
+                t.equal(err3.name, 'ObjectNotFoundError');
+                findAll(ring.client, 'manta_delete_log',
+                    '(objectId=' + first.objectId + ')',
+                    function (err4, records) {
+                        t.ifError(err4);
+                        t.equal(records.length, 1);
+                        t.equal(records[0].value.key, first.key);
+                        t.end();
+                    });
+            });
+        });
+    });
+});
+
+
+test('batchMetadata failure applies nothing', function (t) {
+    var ring = this.ring;
+    var opts = makeOpts();
+    var missing = makeOpts({ owner: opts.owner });
+
+    ring.batchMetadata({
+        requestId: libuuid.create(),
+        requests: [ {
+            operation: 'put',
+            key: opts.key,
+            owner: opts.owner,
+            objectId: opts.objectId,
+            contentLength: opts.contentLength,
+            contentMD5: opts.contentMD5,
+            contentType: opts.contentType,
+            sharks: opts.sharks,
+            type: opts.type
+        }, {
+            operation: 'delete',
+            key: missing.key
+        } ]
+    }, function (err) {
+        t.ok(err);
+        t.equal(err.name, 'ObjectNotFoundError');
+        ring.getMetadata({
+            key: opts.key,
+            requestId: libuuid.create()
+        }, function (err2) {
+            t.ok(err2);
+            t.equal(err2.name, 'ObjectNotFoundError');
+            t.end();
+        });
+    });
+});
+
+
+test('batchMetadata logs overwrites like putMetadata', function (t) {
+    var ring = this.ring;
+    var single = makeOpts();
+    var batched = makeOpts({ owner: single.owner });
+
+    function overwrite(opts, prev) {
+        var next = makeOpts({ owner: opts.owner });
+
+        next.key = opts.key;
+        next.previousMetadata = prev;
+        next.snapLinksDisabled = true;
+        return (next);
+    }
+
+    /* Where the object of `opts` was logged: [ delete log, fastdelete ] */
+    function logged(opts, cb) {
+        findAll(ring.client, 'manta_delete_log',
+            '(objectId=' + opts.objectId + ')', function (err, log) {
+            t.ifError(err);
+            findAll(ring.client, 'manta_fastdelete_queue',
+                '(_key=' + opts.objectId + ')', function (err2, queue) {
+                t.ifError(err2);
+                cb([ log.length, queue.length ]);
+            });
+        });
+    }
+
+    vasync.forEachPipeline({
+        inputs: [ single, batched ],
+        func: function (opts, next) {
+            opts.previousMetadata = {};
+            ring.putMetadata(opts, next);
+        }
+    }, function (err, results) {
+        t.ifError(err);
+
+        var mds = results.successes;
+        ring.putMetadata(overwrite(single, mds[0]), function (err2) {
+            t.ifError(err2);
+
+            var req = overwrite(batched, mds[1]);
+            req.operation = 'put';
+            ring.batchMetadata({
+                requestId: libuuid.create(),
+                requests: [ req ]
+            }, function (err3) {
+                t.ifError(err3);
+                logged(single, function (where) {
+                    t.deepEqual(where, [ 1, 0 ]);
+                    logged(batched, function (where2) {
+                        t.deepEqual(where2, where);
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+///--- Moves
+
+test('moveMetadata renames an object', function (t) {
+    var ring = this.ring;
+    var opts = makeOpts();
+    var dst = '/' + opts.owner + '/stor/moved/' + libuuid.create();
+
+    ring.putMetadata(opts, function (err) {
+        t.ifError(err);
+        ring.moveMetadata({
+            from: opts.key,
+            to: dst,
+            requestId: libuuid.create()
+        }, function (err2, md) {
+            t.ifError(err2);
+            t.equal(md.key, dst);
+            t.equal(md.dirname, '/' + opts.owner + '/stor/moved');
+            t.equal(md.name, path.basename(dst));
+            t.equal(md.objectId, opts.objectId);
+
+            ring.getMetadata({
+                key: opts.key,
+                requestId: libuuid.create()
+            }, function (err3) {
+                t.ok(err3);
+                t.equal(err3.name, 'ObjectNotFoundError');
+                findAll(ring.client, 'manta_delete_log',
+                    '(objectId=' + opts.objectId + ')',
+                    function (err4, records) {
+                        t.ifError(err4);
+                        t.equal(records.length, 0);
+                        t.end();
+                    });
+            });
+        });
+    });
+});
+
+
+test('moveMetadata only overwrites when asked to', function (t) {
+    var ring = this.ring;
+    var src = makeOpts();
+    var dst = makeOpts({ owner: src.owner });
+
+    ring.putMetadata(src, function (err) {
+        t.ifError(err);
+        ring.putMetadata(dst, function (err2) {
+            t.ifError(err2);
+            ring.moveMetadata({
+                from: src.key,
+                to: dst.key,
+                requestId: libuuid.create()
+            }, function (err3) {
+                t.ok(err3);
+                t.ok(err3 instanceof libmanta.PreconditionFailedError);
+                t.equal(err3.name, 'IfNoneMatchFailedError');
+
+                ring.moveMetadata({
+                    from: src.key,
+                    to: dst.key,
+                    overwrite: true,
+                    requestId: libuuid.create()
+                }, function (err4, md) {
+                    t.ifError(err4);
+                    t.equal(md.objectId, src.objectId);
+                    findAll(ring.client, 'manta_delete_log',
+                        '(objectId=' + dst.objectId + ')',
+                        function (err5, records) {
+                            t.ifError(err5);
+                            t.equal(records.length, 1);
+                            t.equal(records[0].value.key, dst.key);
+                            t.end();
+                        });
+                });
+            });
+        });
+    });
+});
+
+
+test('moveMetadata refuses non-empty directories', function (t) {
+    var ring = this.ring;
+    var dir = makeOpts({ type: 'directory' });
+    var child = makeOpts({ owner: dir.owner });
+    child.key = dir.key + '/child';
+
+    ring.putMetadata(dir, function (err) {
+        t.ifError(err);
+        ring.putMetadata(child, function (err2) {
+            t.ifError(err2);
+            ring.moveMetadata({
+                from: dir.key,
+                to: dir.key + '.moved',
+                requestId: libuuid.create()
+            }, function (err3) {
+                t.ok(err3);
+                t.equal(err3.name, 'DirectoryNotEmptyError');
+                t.end();
+            });
+        });
+    });
+});
+
+
+///--- Recursive deletes
+
+function runDeleteTree(ring, opts, cb) {
+    var progress = [];
+    var res = ring.deleteTree(opts);
+
+    res.on('progress', function (p) {
+        progress.push(p);
+    });
+    res.once('error', cb);
+    res.once('end', function (stats) {
+        cb(null, stats, progress);
+    });
+}
+
+
+test('deleteTree removes a tree depth-first', function (t) {
+    var ring = this.ring;
+    var owner = libuuid.create();
+    var dir = '/' + owner + '/stor/dtree';
+    var paths = [ '/dtree', '/dtree/a', '/dtree/dsub', '/dtree/dsub/b',
+        '/dtree/dsub/c', '/dtree/dsub/ddeeper' ];
+
+    putEntries(ring, owner, paths, function (err) {
+        t.ifError(err);
+        runDeleteTree(ring, {
+            directory: dir,
+            dryRun: true,
+            requestId: libuuid.create()
+        }, function (err2, planned) {
+            t.ifError(err2);
+            t.equal(planned.objects, 3);
+            t.equal(planned.directories, 3);
+
+            runDeleteTree(ring, {
+                directory: dir,
+                concurrency: 2,
+                requestId: libuuid.create()
+            }, function (err3, stats, progress) {
+                t.ifError(err3);
+                t.deepEqual(stats, planned);
+                t.equal(progress.length, 6);
+                /* The directory itself goes last. */
+                t.deepEqual(progress[5], stats);
+
+                ring.getDirectoryCount({
+                    directory: '/' + owner + '/stor',
+                    requestId: libuuid.create()
+                }, function (err4) {
+                    t.ok(err4);
+                    t.equal(err4.name, 'ObjectNotFoundError');
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('deleteTree can be repeated after a partial delete', function (t) {
+    var ring = this.ring;
+    var owner = libuuid.create();
+    var dir = '/' + owner + '/stor/dresume';
+    var paths = [ '/dresume', '/dresume/a', '/dresume/b' ];
+
+    putEntries(ring, owner, paths, function (err) {
+        t.ifError(err);
+        ring.delMetadata({
+            key: dir + '/a',
+            requestId: libuuid.create(),
+            previousMetadata: {}
+        }, function (err2) {
+            t.ifError(err2);
+            runDeleteTree(ring, {
+                directory: dir,
+                requestId: libuuid.create()
+            }, function (err3, stats) {
+                t.ifError(err3);
+                t.equal(stats.objects, 1);
+                t.equal(stats.directories, 1);
+                ring.getMetadata({
+                    key: dir,
+                    requestId: libuuid.create()
+                }, function (err4) {
+                    t.ok(err4);
+                    t.equal(err4.name, 'ObjectNotFoundError');
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+///--- Delete log
+
+function readAll(ring, opts, cb) {
+    var entries = [];
+    var pages = 0;
+
+    (function nextPage(marker) {
+        var res = ring.readDeleteLog({
+            bucket: opts.bucket,
+            limit: opts.limit,
+            marker: marker,
+            requestId: libuuid.create()
+        });
+
+        pages++;
+        res.on('entry', function (e) {
+            entries.push(e);
+        });
+        res.once('error', cb);
+        res.once('end', function (next) {
+            if (next) {
+                nextPage(next);
+            } else {
+                cb(null, entries, pages);
+            }
+        });
+    })();
+}
+
+
+test('readDeleteLog pages in _mtime order and ackDeleteLog removes',
+    function (t) {
+    var ring = this.ring;
+    var opts = makeOpts();
+    var ids = [];
+    var n = 0;
+
+    (function overwrite(prev) {
+        var next = makeOpts({ owner: opts.owner });
+        next.key = opts.key;
+        next.previousMetadata = prev || {};
+        ring.putMetadata(next, function (err, md) {
+            t.ifError(err);
+            if (prev)
+                ids.push(prev.objectId);
+            if (++n < 4) {
+                overwrite(md);
+                return;
+            }
+
+            readAll(ring, { limit: 2 }, function (err2, entries, pages) {
+                t.ifError(err2);
+                t.ok(pages > 1);
+                t.deepEqual(entries.filter(function (e) {
+                    return (ids.indexOf(e.objectId) !== -1);
+                }).map(function (e) {
+                    t.equal(e.metadata.key, opts.key);
+                    return (e.objectId);
+                }).sort(), ids.sort());
+                for (var i = 1; i < entries.length; i++)
+                    t.ok(entries[i - 1].mtime <= entries[i].mtime);
+
+                ring.ackDeleteLog({
+                    keys: entries.map(function (e) {
+                        return (e.key);
+                    }),
+                    requestId: libuuid.create()
+                }, function (err3) {
+                    t.ifError(err3);
+                    readAll(ring, {}, function (err4, left) {
+                        t.ifError(err4);
+                        t.equal(left.length, 0);
+                        t.end();
+                    });
+                });
+            });
+        });
+    })();
+});
+
+
+test('readDeleteLog reports invalid markers as errors', function (t) {
+    var res = this.ring.readDeleteLog({
+        marker: 'not-a-marker',
+        requestId: libuuid.create()
+    });
+
+    res.once('end', function () {
+        t.ok(false, 'readDeleteLog accepted an invalid marker');
+        t.end();
+    });
+    res.once('error', function (err) {
+        t.equal(err.name, 'InvalidMarkerError');
+        t.end();
+    });
+});
+
+
+test('readDeleteLog reads the fastdelete queue', function (t) {
+    var ring = this.ring;
+    var opts = makeOpts();
+
+    ring.putMetadata(opts, function (err, md) {
+        t.ifError(err);
+        ring.delMetadata({
+            key: opts.key,
+            requestId: libuuid.create(),
+            previousMetadata: md,
+            snapLinksDisabled: true
+        }, function (err2) {
+            t.ifError(err2);
+            readAll(ring, {
+                bucket: 'manta_fastdelete_queue'
+            }, function (err3, entries) {
+                t.ifError(err3);
+                var found = entries.filter(function (e) {
+                    return (e.key === opts.objectId);
+                });
+                t.equal(found.length, 1);
+                t.equal(found[0].metadata.key, opts.key);
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('delMetadata checks for other references before fastdelete',
+    function (t) {
+    var ring = this.ring;
+    var opts = makeOpts();
+
+    ring.putMetadata(opts, function (err, md) {
+        t.ifError(err);
+
+        var link = makeOpts({ owner: opts.owner, type: 'link' });
+        link.link = md;
+        ring.putMetadata(link, function (err2, lmd) {
+            t.ifError(err2);
+            ring.delMetadata({
+                key: opts.key,
+                requestId: libuuid.create(),
+                previousMetadata: md,
+                snapLinksDisabled: true,
+                checkLastReference: true
+            }, function (err3) {
+                t.ifError(err3);
+                findAll(ring.client, 'manta_delete_log',
+                    '(objectId=' + opts.objectId + ')',
+                    function (err4, records) {
+                    t.ifError(err4);
+                    t.equal(records.length, 1);
+                    t.equal(records[0].value.deleteLogReason.referencedBy,
+                        link.key);
+
+                    ring.delMetadata({
+                        key: link.key,
+                        requestId: libuuid.create(),
+                        previousMetadata: lmd,
+                        snapLinksDisabled: true,
+                        checkLastReference: true
+                    }, function (err5) {
+                        t.ifError(err5);
+                        ring.client.getObject('manta_fastdelete_queue',
+                            opts.objectId, function (err6, obj) {
+                            t.ifError(err6);
+                            t.equal(obj.value.key, link.key);
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+///--- Versions
+
+test('versioned writes keep superseded metadata', function (t) {
+    var ring = helper.createMorayClient({ versions: true });
+
+    ring.once('connect', function () {
+        var first = makeOpts();
+        first.versioned = true;
+        first.previousMetadata = {};
+
+        ring.putMetadata(first, function (err, md1) {
+            t.ifError(err);
+
+            var second = makeOpts({ owner: first.owner });
+            second.key = first.key;
+            second.versioned = true;
+            second.previousMetadata = md1;
+            ring.putMetadata(second, function (err2, md2) {
+                t.ifError(err2);
+                ring.listVersions({
+                    key: first.key,
+                    requestId: libuuid.create()
+                }, function (err3, versions) {
+                    t.ifError(err3);
+                    t.equal(versions.length, 1);
+                    t.equal(versions[0].objectId, first.objectId);
+                    t.ok(versions[0].versionId);
+
+                    findAll(ring.client, 'manta_delete_log',
+                        '(objectId=' + first.objectId + ')',
+                        function (err4, records) {
+                        t.ifError(err4);
+                        t.equal(records.length, 0);
+
+                        ring.restoreVersion({
+                            key: first.key,
+                            versionId: versions[0].versionId,
+                            requestId: libuuid.create()
+                        }, function (err5, md) {
+                            t.ifError(err5);
+                            t.equal(md.objectId, first.objectId);
+                            ring.getMetadataVersion({
+                                key: first.key,
+                                versionId: versions[0].versionId,
+                                requestId: libuuid.create()
+                            }, function (err6) {
+                                t.ok(err6);
+                                t.equal(err6.name, 'ObjectNotFoundError');
+                                checkRestored(md2);
+                            });
+                        });
+                    });
+                });
+            });
+        });
+
+        function checkRestored(md2) {
+            ring.listVersions({
+                key: first.key,
+                requestId: libuuid.create()
+            }, function (err, versions) {
+                t.ifError(err);
+                t.equal(versions.length, 1);
+                t.equal(versions[0].objectId, md2.objectId);
+
+                ring.pruneVersions({
+                    key: first.key,
+                    requestId: libuuid.create()
+                }, function (err2, pruned) {
+                    t.ifError(err2);
+                    t.equal(pruned.length, 1);
+                    findAll(ring.client, 'manta_delete_log',
+                        '(objectId=' + md2.objectId + ')',
+                        function (err3, records) {
+                        t.ifError(err3);
+                        t.equal(records.length, 1);
+                        ring.close();
+                        t.end();
+                    });
+                });
+            });
+        }
+    });
+});
+
+
+test('versioned deletes keep the deleted metadata', function (t) {
+    var ring = helper.createMorayClient({ versions: true });
+
+    ring.once('connect', function () {
+        var opts = makeOpts();
+        ring.putMetadata(opts, function (err, md) {
+            t.ifError(err);
+            ring.delMetadata({
+                key: opts.key,
+                requestId: libuuid.create(),
+                previousMetadata: md,
+                versioned: true
+            }, function (err2) {
+                t.ifError(err2);
+                ring.getMetadataVersion({
+                    key: opts.key,
+                    versionId: md.mtime + '-' + md.objectId,
+                    requestId: libuuid.create()
+                }, function (err3, version) {
+                    t.ifError(err3);
+                    t.equal(version.objectId, opts.objectId);
+                    ring.close();
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('versioned writes that keep the object keep no version', function (t) {
+    var ring = helper.createMorayClient({ versions: true });
+
+    ring.once('connect', function () {
+        var opts = makeOpts();
+        opts.versioned = true;
+        opts.previousMetadata = {};
+
+        ring.putMetadata(opts, function (err, md) {
+            t.ifError(err);
+
+            /* A metadata-only update, as for a PUT of headers. */
+            var update = makeOpts({
+                owner: opts.owner,
+                objectId: opts.objectId
+            });
+            update.key = opts.key;
+            update.contentType = 'application/json';
+            update.versioned = true;
+            update.previousMetadata = md;
+            ring.putMetadata(update, function (err2) {
+                t.ifError(err2);
+                ring.listVersions({
+                    key: opts.key,
+                    requestId: libuuid.create()
+                }, function (err3, versions) {
+                    t.ifError(err3);
+                    t.equal(versions.length, 0);
+                    findAll(ring.client, 'manta_delete_log',
+                        '(objectId=' + opts.objectId + ')',
+                        function (err4, records) {
+                        t.ifError(err4);
+                        t.equal(records.length, 0);
+                        ring.close();
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+test('pruneVersions keeps objects that are still referenced', function (t) {
+    var ring = helper.createMorayClient({ versions: true });
+
+    /* Three keys for the same object, as with snaplinks. */
+    var a = makeOpts({ path: '/a' });
+    var b = makeOpts({ owner: a.owner, objectId: a.objectId, path: '/b' });
+    var c = makeOpts({ owner: a.owner, objectId: a.objectId, path: '/c' });
+    var mds = {};
+
+    function replace(opts, cb) {
+        var next = makeOpts({ owner: opts.owner });
+
+        next.key = opts.key;
+        next.versioned = true;
+        next.previousMetadata = mds[opts.key];
+        ring.putMetadata(next, cb);
+    }
+
+    function prune(opts, logged, cb) {
+        ring.pruneVersions({
+            key: opts.key,
+            requestId: libuuid.create()
+        }, function (err, pruned) {
+            t.ifError(err);
+            t.equal(pruned.length, 1);
+            findAll(ring.client, 'manta_delete_log',
+                '(objectId=' + a.objectId + ')', function (err2, records) {
+                t.ifError(err2);
+                t.equal(records.length, logged);
+                cb();
+            });
+        });
+    }
+
+    ring.once('connect', function () {
+        vasync.forEachPipeline({
+            inputs: [ a, b, c ],
+            func: function (opts, next) {
+                opts.previousMetadata = {};
+                ring.putMetadata(opts, function (err, md) {
+                    mds[opts.key] = md;
+                    next(err);
+                });
+            }
+        }, function (err) {
+            t.ifError(err);
+            vasync.pipeline({
+                funcs: [
+                    function (_, next) {
+                        replace(a, next);
+                    },
+                    function (_, next) {
+                        replace(b, next);
+                    },
+                    /* c still references the object. */
+                    function (_, next) {
+                        prune(a, 0, next);
+                    },
+                    function (_, next) {
+                        ring.delMetadata({
+                            key: c.key,
+                            requestId: libuuid.create(),
+                            previousMetadata: mds[c.key],
+                            versioned: true
+                        }, next);
+                    },
+                    /* Now only a version of c does. */
+                    function (_, next) {
+                        prune(b, 0, next);
+                    },
+                    function (_, next) {
+                        prune(c, 1, next);
+                    }
+                ]
+            }, function (err2) {
+                t.ifError(err2);
+                ring.close();
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('versions are looked up on the shard of their key', function (t) {
+    var ring = helper.createMorayClient({ versions: true });
+    var opts = makeOpts({ path: '/dir/obj' });
+    var dir = '/' + opts.owner + '/stor/dir';
+
+    ring.once('connect', function () {
+        var findObjects = ring.client.findObjects;
+        var searches = [];
+
+        ring.client.findObjects = function (bucket, filter, fopts) {
+            searches.push({ bucket: bucket, hashkey: fopts.hashkey });
+            return (findObjects.apply(this, arguments));
+        };
+
+        opts.previousMetadata = {};
+        ring.putMetadata(opts, function (err, md) {
+            t.ifError(err);
+
+            var next = makeOpts({ owner: opts.owner });
+            next.key = opts.key;
+            next.versioned = true;
+            next.previousMetadata = md;
+            ring.putMetadata(next, function (err2) {
+                t.ifError(err2);
+                ring.pruneVersions({
+                    key: opts.key,
+                    requestId: libuuid.create(),
+                    snapLinksDisabled: true
+                }, function (err3, pruned) {
+                    t.ifError(err3);
+                    t.equal(pruned.length, 1);
+                    t.ok(searches.length >= 3);
+                    searches.forEach(function (search) {
+                        t.equal(search.hashkey, dir, search.bucket);
+                    });
+                    ring.client.findObjects = findObjects;
+
+                    /* Only the delete log checks every shard. */
+                    findAll(ring.client, 'manta_fastdelete_queue',
+                        '(_key=' + opts.objectId + ')',
+                        function (err4, records) {
+                        t.ifError(err4);
+                        t.equal(records.length, 0);
+                        findAll(ring.client, 'manta_delete_log',
+                            '(objectId=' + opts.objectId + ')',
+                            function (err5, records2) {
+                            t.ifError(err5);
+                            t.equal(records2.length, 1);
+                            ring.close();
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+///--- Trash
+
+test('trashed metadata can be listed and restored', function (t) {
+    var ring = helper.createMorayClient({ trash: true });
+
+    ring.once('connect', function () {
+        var opts = makeOpts();
+        ring.putMetadata(opts, function (err, md) {
+            t.ifError(err);
+            ring.delMetadata({
+                key: opts.key,
+                requestId: libuuid.create(),
+                previousMetadata: md,
+                trash: true
+            }, function (err2) {
+                t.ifError(err2);
+                ring.listTrash({
+                    owner: opts.owner,
+                    requestId: libuuid.create()
+                }, function (err3, entries) {
+                    t.ifError(err3);
+                    t.equal(entries.length, 1);
+                    t.equal(entries[0].key, opts.key);
+                    t.ok(entries[0].expires > entries[0].deletedAt);
+
+                    ring.restoreFromTrash({
+                        key: opts.key,
+                        trashId: entries[0].trashId,
+                        requestId: libuuid.create()
+                    }, function (err4, restored) {
+                        t.ifError(err4);
+                        t.equal(restored.key, md.key);
+                        t.equal(restored.objectId, md.objectId);
+                        t.equal(restored.deletedAt, undefined);
+                        findAll(ring.client, 'manta_delete_log',
+                            '(objectId=' + opts.objectId + ')',
+                            function (err5, records) {
+                            t.ifError(err5);
+                            t.equal(records.length, 0);
+                            ring.close();
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+test('trash keeps deletes of a key within the same millisecond', function (t) {
+    var ring = helper.createMorayClient({ trash: true });
+    var first = makeOpts();
+    var second = makeOpts({ owner: first.owner });
+    var now = Date.now;
+    var frozen = now();
+
+    second.key = first.key;
+
+    function putAndTrash(opts, cb) {
+        opts.previousMetadata = {};
+        ring.putMetadata(opts, function (err, md) {
+            t.ifError(err);
+            ring.delMetadata({
+                key: opts.key,
+                requestId: libuuid.create(),
+                previousMetadata: md,
+                trash: true
+            }, cb);
+        });
+    }
+
+    ring.once('connect', function () {
+        Date.now = function () {
+            return (frozen);
+        };
+        putAndTrash(first, function (err) {
+            t.ifError(err);
+            putAndTrash(second, function (err2) {
+                Date.now = now;
+                t.ifError(err2);
+                ring.listTrash({
+                    owner: first.owner,
+                    key: first.key,
+                    requestId: libuuid.create()
+                }, function (err3, entries) {
+                    t.ifError(err3);
+                    t.deepEqual(entries.map(function (e) {
+                        t.equal(e.deletedAt, frozen);
+                        return (e.objectId);
+                    }).sort(), [ first.objectId, second.objectId ].sort());
+                    ring.close();
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('trash deletes that went through before a retry succeed', function (t) {
+    var ring = helper.createMorayClient({ trash: true });
+    var opts = makeOpts();
+
+    ring.once('connect', function () {
+        var batch = ring.client.batch;
+        var calls = 0;
+
+        /* The first batch commits, but its reply is lost. */
+        ring.client.batch = function (requests, bopts, cb) {
+            if (++calls > 1) {
+                batch.apply(this, arguments);
+                return;
+            }
+            batch.call(this, requests, bopts, function (err) {
+                t.ifError(err);
+                var lost = new Error('reply lost');
+                lost.name = 'EtagConflictError';
+                cb(lost);
+            });
+        };
+
+        opts.previousMetadata = {};
+        ring.putMetadata(opts, function (err, md) {
+            t.ifError(err);
+            ring.delMetadata({
+                key: opts.key,
+                requestId: libuuid.create(),
+                previousMetadata: md,
+                trash: true
+            }, function (err2) {
+                t.ifError(err2);
+                t.equal(calls, 2);
+                ring.client.batch = batch;
+                ring.listTrash({
+                    owner: opts.owner,
+                    key: opts.key,
+                    requestId: libuuid.create()
+                }, function (err3, entries) {
+                    t.ifError(err3);
+                    t.equal(entries.length, 1);
+                    ring.close();
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('listTrash searches the shard of a given key', function (t) {
+    var ring = helper.createMorayClient({ trash: true });
+    var opts = makeOpts({ path: '/dir/obj' });
+
+    ring.once('connect', function () {
+        var findObjects = ring.client.findObjects;
+        var hashkeys = [];
+
+        ring.client.findObjects = function (bucket, filter, fopts) {
+            hashkeys.push(fopts.hashkey);
+            return (findObjects.apply(this, arguments));
+        };
+
+        ring.listTrash({
+            owner: opts.owner,
+            key: opts.key,
+            requestId: libuuid.create()
+        }, function (err) {
+            t.ifError(err);
+            ring.listTrash({
+                owner: opts.owner,
+                requestId: libuuid.create()
+            }, function (err2) {
+                t.ifError(err2);
+                t.deepEqual(hashkeys,
+                    [ '/' + opts.owner + '/stor/dir', undefined ]);
+                ring.client.findObjects = findObjects;
+                ring.close();
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('sweepTrash deletes expired trash through the delete log',
+    function (t) {
+    var ring = helper.createMorayClient({ trash: true, trashTtl: 1 });
+
+    ring.once('connect', function () {
+        var opts = makeOpts();
+        ring.putMetadata(opts, function (err, md) {
+            t.ifError(err);
+            ring.delMetadata({
+                key: opts.key,
+                requestId: libuuid.create(),
+                previousMetadata: md,
+                trash: true
+            }, function (err2) {
+                t.ifError(err2);
+                setTimeout(sweep, 10);
+            });
+        });
+
+        function sweep() {
+            ring.sweepTrash({
+                requestId: libuuid.create()
+            }, function (err, swept) {
+                t.ifError(err);
+                t.ok(swept.some(function (e) {
+                    return (e.key === opts.key);
+                }));
+                findAll(ring.client, 'manta_delete_log',
+                    '(objectId=' + opts.objectId + ')',
+                    function (err2, records) {
+                    t.ifError(err2);
+                    t.equal(records.length, 1);
+                    ring.listTrash({
+                        owner: opts.owner,
+                        requestId: libuuid.create()
+                    }, function (err3, entries) {
+                        t.ifError(err3);
+                        t.equal(entries.length, 0);
+                        ring.close();
+                        t.end();
+                    });
+                });
+            });
+        }
+    });
+});
+
+
+///--- References
+
+test('findReferences returns the object and its links', function (t) {
+    var ring = this.ring;
+    var opts = makeOpts();
+
+    ring.putMetadata(opts, function (err, md) {
+        t.ifError(err);
+
+        var link = makeOpts({ type: 'link' });
+        link.link = md;
+        ring.putMetadata(link, function (err2) {
+            t.ifError(err2);
+            ring.findReferences({
+                objectId: opts.objectId,
+                requestId: libuuid.create()
+            }, function (err3, refs) {
+                t.ifError(err3);
+                t.equal(refs.length, 2);
+                if (refs[0].createdFrom)
+                    refs.reverse();
+                t.equal(refs[0].key, opts.key);
+                t.equal(refs[0].owner, opts.owner);
+                t.equal(refs[1].key, link.key);
+                t.equal(refs[1].owner, link.owner);
+                t.equal(refs[1].creator, link.owner);
+                t.equal(refs[1].createdFrom, opts.key);
+                t.end();
+            });
+        });
+    });
+});
+
+
+///--- Cache
+
+test('getMetadata cache is invalidated by writes', function (t) {
+    var ring = helper.createMorayClient({ cache: { max: 10 } });
+
+    ring.once('connect', function () {
+        var opts = makeOpts();
+        var get = {
+            key: opts.key,
+            requestId: libuuid.create()
+        };
+
+        ring.putMetadata(opts, function (err) {
+            t.ifError(err);
+            ring.getMetadata(get, function (err2, md) {
+                t.ifError(err2);
+                t.equal(md.objectId, opts.objectId);
+                ring.getMetadata(get, function (err3, md2) {
+                    t.ifError(err3);
+                    t.equal(md2.objectId, opts.objectId);
+                    t.deepEqual(ring.getCacheStats(), {
+                        hits: 1,
+                        misses: 1,
+                        size: 1,
+                        max: 10
+                    });
+
+                    var next = makeOpts({ owner: opts.owner });
+                    next.key = opts.key;
+                    next.previousMetadata = md2;
+                    ring.putMetadata(next, function (err4) {
+                        t.ifError(err4);
+                        ring.getMetadata(get, function (err5, md3) {
+                            t.ifError(err5);
+                            t.equal(md3.objectId, next.objectId);
+                            t.equal(ring.getCacheStats().misses, 2);
+                            ring.close();
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+test('getMetadata consistent bypasses the cache', function (t) {
+    var ring = helper.createMorayClient({ cache: {} });
+
+    ring.once('connect', function () {
+        var opts = makeOpts();
+        var get = {
+            key: opts.key,
+            requestId: libuuid.create()
+        };
+
+        ring.putMetadata(opts, function (err) {
+            t.ifError(err);
+            ring.getMetadata(get, function (err2) {
+                t.ifError(err2);
+
+                /* Change the record behind the cache's back. */
+                ring.client.delObject('manta', opts.key, function (err3) {
+                    t.ifError(err3);
+                    ring.getMetadata(get, function (err4, md) {
+                        t.ifError(err4);
+                        t.ok(md);
+                        get.consistent = true;
+                        ring.getMetadata(get, function (err5) {
+                            t.ok(err5);
+                            t.equal(err5.name, 'ObjectNotFoundError');
+                            ring.close();
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+///--- Promises
+
+test('promise variants resolve and reject like callbacks', function (t) {
+    var ring = this.ring;
+    var opts = makeOpts();
+
+    ring.putMetadataAsync(opts).then(function (md) {
+        t.equal(md.objectId, opts.objectId);
+        return (ring.getMetadataAsync({
+            key: opts.key,
+            requestId: libuuid.create()
+        }));
+    }).then(function (md) {
+        t.equal(md.key, opts.key);
+        return (ring.getDirectoryCountAsync({
+            directory: path.dirname(opts.key),
+            requestId: libuuid.create()
+        }));
+    }).then(function (count) {
+        t.equal(count, 1);
+        opts.ifNoneMatch = '*';
+        return (ring.putMetadataAsync(opts));
+    }).then(function () {
+        t.ok(false, 'ifNoneMatch put should have failed');
+    }, function (err) {
+        t.ok(err instanceof libmanta.IfNoneMatchFailedError);
+        t.ok(err instanceof libmanta.PreconditionFailedError);
+    }).then(function () {
+        t.end();
+    });
+});
+
+
+///--- Initialization
+
+test('initialization reports its phases and status', function (t) {
+    var phases = [];
+    var ring = helper.createMorayClient();
+
+    /* The first attempt starts right away; its events come later. */
+    t.ok(ring.client);
+    t.deepEqual(ring.status(), {
+        phase: 'connect',
+        attempt: 1,
+        lastError: null,
+        retryAt: null,
+        healthy: true,
+        ready: false
+    });
+
+    ring.on('initPhase', function (info) {
+        t.equal(info.attempt, 1);
+        phases.push(info.phase + ' ' + info.state);
+    });
+    ring.once('connect', function () {
+        t.deepEqual(phases, [
+            'connect started',
+            'connect succeeded',
+            'setupBuckets started',
+            'setupBuckets succeeded',
+            'setupTrigger started',
+            'setupTrigger succeeded'
+        ]);
+        t.equal(ring.status().phase, 'ready');
+        t.equal(ring.status().ready, true);
+
+        ring.shutdown(function () {
+            t.equal(ring.status().phase, 'closed');
+            t.equal(ring.status().ready, false);
+            t.end();
+        });
+        t.equal(ring.status().ready, false);
+    });
+});
+
+
+test('initialization reports failed attempts and retries', function (t) {
+    var attempts = 0;
+    var backend = libmanta.createMemoryMorayBackend();
+    var failed = null;
+    var ring = libmanta.createMorayClient({
+        log: helper.createLogger(),
+        readOnly: true,
+        backend: {
+            /* The first connection attempt fails. */
+            createClient: function (opts) {
+                var client;
+
+                if (++attempts > 1)
+                    return (backend.createClient(opts));
+
+                client = new EventEmitter();
+                client.close = function () {};
+                setImmediate(function () {
+                    client.emit('error', new Error('connection refused'));
+                });
+                return (client);
+            }
+        }
+    });
+
+    ring.on('initPhase', function (info) {
+        if (info.state === 'failed')
+            failed = info;
+    });
+    ring.once('initRetry', function (info) {
+        var status = ring.status();
+
+        t.equal(failed.phase, 'connect');
+        t.equal(failed.attempt, 1);
+        t.ok(failed.error);
+        t.equal(info.attempt, 1);
+        t.equal(typeof (info.delay), 'number');
+        t.ok(/connection refused/.test(info.error.message));
+        t.equal(status.phase, 'backoff');
+        t.equal(status.attempt, 1);
+        t.equal(status.lastError, info.error);
+        t.ok(status.retryAt >= Date.now());
+        t.equal(status.ready, false);
+    });
+    ring.once('connect', function () {
+        var status = ring.status();
+
+        t.equal(status.attempt, 2);
+        t.equal(status.retryAt, null);
+        t.equal(status.ready, true);
+        ring.close();
+        t.end();
+    });
+});
+
+
+///--- Health checks
+
+test('health checks report transitions and fail fast', function (t) {
+    var ring = helper.createMorayClient({
+        healthCheck: {
+            interval: 10,
+            timeout: 20,
+            failFast: true
+        }
+    });
+    var unhealthy = 0;
+
+    ring.on('unhealthy', function () {
+        unhealthy++;
+    });
+
+    ring.once('connect', function () {
+        var ping = ring.client.ping;
+        var opts = makeOpts();
+
+        t.equal(ring.status().healthy, true);
+        ring.client.ping = function (_, cb) {
+            setImmediate(cb, new Error('connection reset'));
+        };
+
+        ring.once('unhealthy', function (err) {
+            t.ok(err instanceof libmanta.HealthCheckError);
+            t.ok(/connection reset/.test(err.message));
+            t.equal(ring.status().healthy, false);
+            t.equal(ring.status().ready, false);
+            ring.search({
+                filter: '(owner=' + opts.owner + ')',
+                requestId: libuuid.create()
+            }).once('error', function (err2) {
+                t.ok(err2 instanceof libmanta.NotConnectedError);
+            });
+
+            ring.putMetadata(opts, function (err2) {
+                t.ok(err2 instanceof libmanta.NotConnectedError);
+
+                /* Pings that never return time out. */
+                ring.client.ping = function () {};
+                setTimeout(function () {
+                    t.ok(/timed out after 20 ms/.test(
+                        ring.healthError.message));
+                    t.equal(unhealthy, 1);
+
+                    ring.client.ping = ping;
+                    ring.once('healthy', recovered);
+                }, 100);
+            });
+        });
+
+        function recovered() {
+            t.equal(ring.status().healthy, true);
+            t.equal(ring.status().ready, true);
+            ring.putMetadata(opts, function (err) {
+                t.ifError(err);
+                ring.close();
+                t.end();
+            });
+        }
+    });
+});
+
+
+///--- Shutdown
+
+test('shutdown waits for in-flight operations', function (t) {
+    var ring = helper.createMorayClient();
+
+    ring.once('connect', function () {
+        var drained = false;
+        var opts = makeOpts();
+
+        ring.putMetadata(opts, function (err) {
+            t.ifError(err);
+            t.equal(ring.getInflightCount(), 0);
+            t.ok(!drained);
+        });
+        t.equal(ring.getInflightCount(), 1);
+
+        ring.once('drain', function () {
+            drained = true;
+        });
+        ring.shutdown({ timeout: 10000 }, function () {
+            t.ok(drained);
+            t.end();
+        });
+
+        ring.getMetadata({
+            key: opts.key,
+            requestId: libuuid.create()
+        }, function (err) {
+            t.ok(err instanceof libmanta.ShuttingDownError);
+        });
+        ring.search({
+            filter: '(owner=' + opts.owner + ')',
+            requestId: libuuid.create()
+        }).once('error', function (err) {
+            t.ok(err instanceof libmanta.ShuttingDownError);
+        });
+    });
+});
+
+
+test('shutdown closes right away when idle', function (t) {
+    var ring = helper.createMorayClient();
+
+    ring.once('connect', function () {
+        ring.shutdown(function () {
+            t.equal(ring.getInflightCount(), 0);
+            t.end();
+        });
+    });
+});
+
+
+test('shutdown fails a deleteTree that is still running', function (t) {
+    var ring = helper.createMorayClient();
+    var owner = libuuid.create();
+    var dir = '/' + owner + '/stor/dshut';
+    var paths = [ '/dshut' ];
+    var i;
+
+    for (i = 0; i < 4; i++) {
+        paths.push('/dshut/d' + i);
+        paths.push('/dshut/d' + i + '/a');
+        paths.push('/dshut/d' + i + '/dsub');
+        paths.push('/dshut/d' + i + '/dsub/b');
+    }
+
+    ring.once('connect', function () {
+        putEntries(ring, owner, paths, function (err) {
+            t.ifError(err);
+
+            var res = ring.deleteTree({
+                directory: dir,
+                concurrency: 1,
+                requestId: libuuid.create()
+            });
+
+            /* The search of the top directory is already under way. */
+            ring.shutdown(function () {
+                t.end();
+            });
+            res.once('end', function () {
+                t.ok(false, 'deleteTree completed after shutdown');
+            });
+            res.once('error', function (err2) {
+                t.equal(err2.name, 'ShuttingDownError');
+            });
+        });
+    });
+});
+
+
+test('shutdown stops a client that has not initialized', function (t) {
+    var ring = helper.createMorayClient();
+
+    ring.once('connect', function () {
+        t.ok(false, 'client connected after shutdown');
+    });
+    ring.shutdown(function (err) {
+        t.ifError(err);
+        t.equal(ring.status().phase, 'closed');
+        setTimeout(function () {
+            /* The first attempt failed, and was not retried. */
+            t.equal(ring.client, null);
+            t.equal(ring.status().phase, 'closed');
+            t.equal(ring.status().attempt, 1);
+            t.end();
+        }, 50);
+    });
+});
+
+
+test('shutdown cancels a pending initialization retry', function (t) {
+    var attempts = 0;
+    var backend = libmanta.createMemoryMorayBackend();
+    var ring = libmanta.createMorayClient({
+        log: helper.createLogger(),
+        readOnly: true,
+        backend: {
+            /* The first connection attempt fails. */
+            createClient: function (opts) {
+                var client;
+
+                if (++attempts > 1)
+                    return (backend.createClient(opts));
+
+                client = new EventEmitter();
+                client.close = function () {};
+                setImmediate(function () {
+                    client.emit('error', new Error('connection refused'));
+                });
+                return (client);
+            }
+        }
+    });
+
+    ring.once('connect', function () {
+        t.ok(false, 'client connected after shutdown');
+    });
+    ring.once('initRetry', function (info) {
+        ring.shutdown(function (err) {
+            t.ifError(err);
+            t.equal(ring.status().phase, 'closed');
+            t.equal(ring.status().retryAt, null);
+            setTimeout(function () {
+                t.equal(attempts, 1);
+                t.end();
+            }, info.delay + 100);
+        });
+    });
+});
+
+
+test('shutdown waits for maintenance operations', function (t) {
+    var ring = helper.createMorayClient({
+        trash: true,
+        trashTtl: 1,
+        versions: true
+    });
+
+    ring.once('connect', function () {
+        var opts = makeOpts();
+        ring.putMetadata(opts, function (err, md) {
+            t.ifError(err);
+            ring.delMetadata({
+                key: opts.key,
+                requestId: libuuid.create(),
+                previousMetadata: md,
+                trash: true
+            }, function (err2) {
+                t.ifError(err2);
+                setTimeout(sweepAndShutdown, 10);
+            });
+        });
+
+        function sweepAndShutdown() {
+            var swept = null;
+
+            ring.sweepTrash({
+                requestId: libuuid.create()
+            }, function (err, entries) {
+                t.ifError(err);
+                swept = entries;
+            });
+            t.equal(ring.getInflightCount(), 1);
+
+            ring.shutdown(function () {
+                t.ok(swept, 'sweep finished before the client closed');
+                t.equal(swept.length, 1);
+                vasync.forEachPipeline({
+                    inputs: [
+                        function (cb) {
+                            ring.sweepTrash({
+                                requestId: libuuid.create()
+                            }, cb);
+                        },
+                        function (cb) {
+                            ring.restoreVersion({
+                                key: opts.key,
+                                versionId: 'none',
+                                requestId: libuuid.create()
+                            }, cb);
+                        }
+                    ],
+                    func: function (op, next) {
+                        op(function (err) {
+                            t.ok(err);
+                            t.equal(err.name, 'ShuttingDownError');
+                            next();
+                        });
+                    }
+                }, function () {
+                    t.end();
+                });
+            });
+        }
+    });
+});
+
+
+test('shutdown during initialization closes the client once', function (t) {
+    var closes = 0;
+    var shutdowns = 0;
+    var ring = libmanta.createMorayClient({
+        log: helper.createLogger(),
+        readOnly: true,
+        backend: {
+            /* A client that never connects, and fails once closed. */
+            createClient: function () {
+                var client = new EventEmitter();
+
+                client.close = function () {
+                    closes++;
+                    setImmediate(function () {
+                        client.emit('error', new Error('closed'));
+                        client.emit('close');
+                    });
+                };
+                return (client);
+            }
+        }
+    });
+
+    function done() {
+        if (++shutdowns < 2)
+            return;
+
+        setTimeout(function () {
+            t.equal(closes, 1);
+            t.equal(ring.status().phase, 'closed');
+            t.end();
+        }, 50);
+    }
+
+    ring.once('initPhase', function () {
+        ring.shutdown(done);
+        ring.shutdown(done);
+    });
+});
+
+
+///--- Bucket names
+
+test('buckets option renames the metadata buckets', function (t) {
+    var ring = this.ring;
+    var alt = helper.createMorayClient({
+        buckets: {
+            manta: 'alt_manta',
+            deleteLog: 'alt_delete_log',
+            directoryCounts: 'alt_directory_counts'
+        }
+    });
+
+    t.throws(function () {
+        helper.createMorayClient({ buckets: { mantaa: 'alt_manta' } });
+    });
+    t.throws(function () {
+        helper.createMorayClient({ buckets: { manta: 'alt; DROP' } });
+    });
+
+    alt.once('connect', function () {
+        var opts = makeOpts();
+
+        alt.putMetadata(opts, function (err, md) {
+            t.ifError(err);
+            alt.client.getObject('alt_manta', opts.key, function (err2) {
+                t.ifError(err2);
+                ring.getMetadata({
+                    key: opts.key,
+                    requestId: libuuid.create()
+                }, function (err3) {
+                    t.ok(err3);
+                    t.equal(err3.name, 'ObjectNotFoundError');
+                    overwrite(md);
+                });
+            });
+        });
+
+        function overwrite(md) {
+            var opts2 = makeOpts({ owner: opts.owner });
+            opts2.key = opts.key;
+            opts2.previousMetadata = md;
+
+            alt.putMetadata(opts2, function (err) {
+                t.ifError(err);
+                findAll(alt.client, 'alt_delete_log',
+                    '(objectId=' + opts.objectId + ')',
+                    function (err2, records) {
+                    t.ifError(err2);
+                    t.equal(records.length, 1);
+                    alt.getDirectoryCount({
+                        directory: path.dirname(opts.key),
+                        requestId: libuuid.create()
+                    }, function (err3, count) {
+                        t.ifError(err3);
+                        t.equal(count, 1);
+                        ring.getDirectoryCount({
+                            directory: path.dirname(opts.key),
+                            requestId: libuuid.create()
+                        }, function (err4) {
+                            t.ok(err4);
+                            alt.close();
+                            t.end();
+                        });
+                    });
+                });
+            });
+        }
+    });
+});
+
+
+///--- Bucket schema drift
+
+test('checkBuckets reports drift from the expected schema', function (t) {
+    var ring = helper.createMorayClient({
+        buckets: {
+            manta: 'drift_manta',
+            deleteLog: 'drift_delete_log',
+            directoryCounts: 'drift_directory_counts'
+        }
+    });
+
+    function find(report, name) {
+        return (report.buckets.filter(function (b) {
+            return (b.bucket === name);
+        })[0]);
+    }
+
+    ring.once('connect', function () {
+        ring.checkBuckets(function (err, report) {
+            t.ifError(err);
+            t.equal(report.drift, false);
+            t.equal(report.buckets.length, 5);
+            t.equal(find(report, 'drift_manta').postHooksMatch, true);
+
+            ring.client.putBucket('drift_manta', {
+                index: {
+                    dirname: { type: 'string' },
+                    name: { type: 'string' },
+                    owner: { type: 'string' },
+                    objectId: { type: 'number' },
+                    color: { type: 'string' }
+                },
+                options: { version: 99 }
+            }, function (err2) {
+                t.ifError(err2);
+                ring.client.delBucket('drift_delete_log', checkAgain);
+            });
+        });
+
+        function checkAgain(err) {
+            t.ifError(err);
+            ring.checkBuckets({
+                requestId: libuuid.create()
+            }, function (err2, report) {
+                t.ifError(err2);
+                t.equal(report.drift, true);
+
+                var manta = find(report, 'drift_manta');
+                t.equal(manta.drift, true);
+                t.equal(manta.version, 99);
+                t.equal(manta.versionDrift, 'newer');
+                t.deepEqual(manta.missingIndexes, [ 'type' ]);
+                t.deepEqual(manta.extraIndexes, [ 'color' ]);
+                t.deepEqual(manta.changedIndexes, [ 'objectId' ]);
+                t.equal(manta.postHooksMatch, false);
+
+                var deleteLog = find(report, 'drift_delete_log');
+                t.equal(deleteLog.exists, false);
+                t.equal(deleteLog.drift, true);
+
+                t.equal(find(report, 'drift_directory_counts').drift, false);
+
+                ring.checkBuckets({ strict: true }, function (err3) {
+                    t.ok(err3 instanceof libmanta.BucketDriftError);
+                    t.equal(err3.report.drift, true);
+                    ring.close();
+                    t.end();
+                });
+            });
+        }
+    });
+});
+
+
+///--- Setup plans
+
+test('plan mode reports setup changes without making them', function (t) {
+    var names = {
+        manta: 'plan_manta',
+        deleteLog: 'plan_delete_log',
+        fastdeleteQueue: 'plan_fastdelete_queue',
+        directoryCounts: 'plan_directory_counts',
+        uploads: 'plan_uploads'
+    };
+    var planner = helper.createMorayClient({ buckets: names, plan: true });
+    var plan;
+
+    planner.once('plan', function (p) {
+        plan = p;
+    });
+    planner.once('connect', function () {
+        t.ok(plan);
+        t.equal(plan.changes, true);
+        t.deepEqual(plan.buckets.map(function (b) {
+            return (b.action);
+        }), [ 'create', 'create', 'create', 'create', 'create' ]);
+        t.deepEqual(plan.buckets[0].addIndexes,
+            [ 'dirname', 'name', 'owner', 'objectId', 'type' ]);
+        t.equal(plan.trigger.table, 'plan_manta');
+        t.equal(plan.trigger.procname, 'count_plan_manta_directories');
+        t.equal(plan.trigger.action, 'install');
+        t.equal(plan.trigger.version, null);
+        t.throws(function () {
+            planner.putMetadata(makeOpts(), function () {});
+        });
+
+        planner.client.getBucket('plan_manta', function (err) {
+            t.ok(err);
+            t.equal(err.name, 'BucketNotFoundError');
+            setup();
+        });
+    });
+
+    function setup() {
+        var ring = helper.createMorayClient({ buckets: names });
+
+        ring.once('connect', function () {
+            ring.close();
+            planner.planSetup(function (err, plan2) {
+                t.ifError(err);
+                t.equal(plan2.changes, false);
+                plan2.buckets.forEach(function (b) {
+                    t.equal(b.action, 'none');
+                    t.equal(b.version, b.targetVersion);
+                });
+                t.equal(plan2.trigger.action, 'none');
+                t.equal(plan2.trigger.version, plan2.trigger.targetVersion);
+                planner.close();
+                t.end();
+            });
+        });
+    }
+});
+
+
+test('plan mode reads triggers described as EXECUTE FUNCTION', function (t) {
+    /* PostgreSQL 11 and later describe trigger actions this way. */
+    var backend = libmanta.createMemoryMorayBackend({ postgresVersion: 11 });
+    var ring = libmanta.createMorayClient({
+        log: helper.createLogger(),
+        backend: backend
+    });
+
+    ring.once('connect', function () {
+        var planner = libmanta.createMorayClient({
+            log: helper.createLogger(),
+            backend: backend,
+            plan: true
+        });
+
+        ring.close();
+        planner.once('connect', function () {
+            planner.planSetup(function (err, plan) {
+                t.ifError(err);
+                t.equal(plan.trigger.action, 'none');
+                t.equal(plan.trigger.version, plan.trigger.targetVersion);
+                planner.close();
+                t.end();
+            });
+        });
+    });
+});
+
+
+///--- Versioned triggers
+
+function triggerFunctionSql(procname, version) {
+    return ([
+        'CREATE OR REPLACE FUNCTION ' + procname + '_v' + version + '()',
+        '    RETURNS TRIGGER AS',
+        '$FunctionCode$',
+        'BEGIN',
+        '    RETURN NULL;',
+        'END;',
+        '$FunctionCode$ LANGUAGE plpgsql;'
+    ].join('\n'));
+}
+
+
+test('installVersionedTrigger installs and upgrades triggers', function (t) {
+    var ring = helper.createMorayClient({
+        retryPolicy: {
+            initialDelay: 1,
+            maxDelay: 5
+        }
+    });
+
+    function install(version, cb) {
+        ring.installVersionedTrigger({
+            table: 'tg_things',
+            trigger: 'count_things',
+            procname: 'count_things',
+            version: version,
+            functionSql: triggerFunctionSql('count_things', version),
+            requestId: libuuid.create()
+        }, cb);
+    }
+
+    ring.once('connect', function () {
+        t.throws(function () {
+            ring.installVersionedTrigger({
+                table: 'tg_things',
+                trigger: 'count_things',
+                procname: 'count_things',
+                version: 2,
+                functionSql: triggerFunctionSql('count_things', 1)
+            }, function () {});
+        });
+
+        ring.client.putBucket('tg_things', {}, function (err) {
+            t.ifError(err);
+            install(1, function (err2, result) {
+                t.ifError(err2);
+                t.equal(result, 'installed version 1');
+                install(1, function (err3, result2) {
+                    t.ifError(err3);
+                    t.equal(result2, 'no changes needed');
+                    upgrade();
+                });
+            });
+        });
+    });
+
+    /* The first attempt fails as if it had raced with another install. */
+    function upgrade() {
+        var attempts = 0;
+        var sql = ring.client.sql;
+
+        ring.client.sql = function () {
+            var req;
+
+            if (++attempts > 1)
+                return (sql.apply(ring.client, arguments));
+
+            req = new EventEmitter();
+            setImmediate(function () {
+                req.emit('error', new Error('tuple concurrently updated'));
+            });
+            return (req);
+        };
+
+        install(2, function (err, result) {
+            t.ifError(err);
+            t.equal(attempts, 2);
+            t.equal(result, 'installed version 2');
+            install(1, function (err2, result2) {
+                t.ifError(err2);
+                t.equal(result2, 'no changes needed');
+                ring.client.putObject('tg_things', 'k', {}, function (err3) {
+                    t.ifError(err3);
+                    ring.close();
+                    t.end();
+                });
+            });
+        });
+    }
+});
+
+
+test('getTriggerState describes triggers and their procedures', function (t) {
+    var ring = helper.createMorayClient();
+
+    function install(version, cb) {
+        ring.installVersionedTrigger({
+            table: 'tg_state',
+            trigger: 'count_state',
+            procname: 'count_state',
+            version: version,
+            functionSql: triggerFunctionSql('count_state', version)
+        }, cb);
+    }
+
+    ring.once('connect', function () {
+        ring.getTriggerState(function (err, state) {
+            t.ifError(err);
+            t.deepEqual(state, {
+                table: 'manta',
+                triggers: [ {
+                    trigger: 'count_directories',
+                    events: [ 'DELETE', 'INSERT' ],
+                    action: 'EXECUTE PROCEDURE count_manta_directories_v3()',
+                    procname: 'count_manta_directories',
+                    version: 3
+                } ],
+                procedures: [ {
+                    procname: 'count_manta_directories',
+                    versions: [ 3 ],
+                    liveVersion: 3
+                } ],
+                orphaned: []
+            });
+
+            vasync.pipeline({
+                funcs: [
+                    function (_, next) {
+                        ring.client.putBucket('tg_state', {}, next);
+                    },
+                    function (_, next) {
+                        install(1, next);
+                    },
+                    function (_, next) {
+                        install(2, next);
+                    }
+                ]
+            }, function (err2) {
+                t.ifError(err2);
+                ring.getTriggerState({
+                    table: 'tg_state'
+                }, function (err3, state2) {
+                    t.ifError(err3);
+                    t.equal(state2.triggers.length, 1);
+                    t.equal(state2.triggers[0].version, 2);
+                    t.deepEqual(state2.procedures, [ {
+                        procname: 'count_state',
+                        versions: [ 1, 2 ],
+                        liveVersion: 2
+                    } ]);
+                    t.deepEqual(state2.orphaned, [ 'count_state_v1' ]);
+                    ring.close();
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('getTriggerState reads triggers described as EXECUTE FUNCTION',
+    function (t) {
+    /* PostgreSQL 11 and later describe trigger actions this way. */
+    var ring = libmanta.createMorayClient({
+        log: helper.createLogger(),
+        backend: libmanta.createMemoryMorayBackend({ postgresVersion: 11 })
+    });
+
+    ring.once('connect', function () {
+        ring.getTriggerState(function (err, state) {
+            t.ifError(err);
+            t.deepEqual(state.triggers, [ {
+                trigger: 'count_directories',
+                events: [ 'DELETE', 'INSERT' ],
+                action: 'EXECUTE FUNCTION count_manta_directories_v3()',
+                procname: 'count_manta_directories',
+                version: 3
+            } ]);
+            t.deepEqual(state.procedures, [ {
+                procname: 'count_manta_directories',
+                versions: [ 3 ],
+                liveVersion: 3
+            } ]);
+            t.deepEqual(state.orphaned, []);
+            ring.close();
+            t.end();
+        });
+    });
+});
+
+
+///--- Reindexing
+
+/*
+ * Creates bucket `name` with `n` rows, then adds an index to it, leaving every
+ * row to be reindexed.
+ */
+function staleBucket(client, name, n, cb) {
+    var cfg = {
+        index: {
+            a: { type: 'string' }
+        },
+        options: {
+            version: 1
+        }
+    };
+
+    client.putBucket(name, cfg, function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        vasync.forEachPipeline({
+            inputs: Array.apply(null, new Array(n)).map(function (_, i) {
+                return ('k' + i);
+            }),
+            func: function (k, next) {
+                client.putObject(name, k, { a: k, b: k }, next);
+            }
+        }, function (err2) {
+            if (err2) {
+                cb(err2);
+                return;
+            }
+
+            cfg.index.b = { type: 'string' };
+            cfg.options.version = 2;
+            client.putBucket(name, cfg, { no_reindex: true }, cb);
+        });
+    });
+}
+
+
+test('reindexBucket reindexes in batches', function (t) {
+    var ring = helper.createMorayClient();
+
+    ring.once('connect', function () {
+        staleBucket(ring.client, 'reindex_rows', 5, function (err) {
+            t.ifError(err);
+
+            var remaining = [];
+            var req = ring.reindexBucket({
+                bucket: 'reindex_rows',
+                batchSize: 2,
+                rateLimit: 1000,
+                requestId: libuuid.create()
+            });
+
+            req.on('progress', function (stats) {
+                remaining.push(stats.remaining);
+            });
+            req.once('error', function (err2) {
+                t.ifError(err2);
+                ring.close();
+                t.end();
+            });
+            req.once('end', function (stats) {
+                t.deepEqual(remaining, [ 3, 1, 0 ]);
+                t.equal(stats.batches, 3);
+                t.equal(stats.processed, 5);
+                t.equal(stats.stopped, false);
+
+                ring.reindexBucket({
+                    bucket: 'reindex_rows',
+                    requestId: libuuid.create()
+                }).once('end', function (stats2) {
+                    t.equal(stats2.processed, 0);
+                    t.equal(stats2.remaining, 0);
+                    ring.close();
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('reindexBucket stops on shutdown and can be resumed', function (t) {
+    var ring = helper.createMorayClient();
+
+    ring.once('connect', function () {
+        staleBucket(ring.client, 'reindex_stop', 3, function (err) {
+            t.ifError(err);
+
+            var req = ring.reindexBucket({
+                bucket: 'reindex_stop',
+                batchSize: 1,
+                requestId: libuuid.create()
+            });
+
+            req.once('progress', function () {
+                ring.shutdown();
+            });
+            req.once('end', function (stats) {
+                t.equal(stats.stopped, true);
+                t.equal(stats.processed, 1);
+                t.equal(stats.remaining, 2);
+                t.throws(function () {
+                    ring.reindexBucket({ requestId: libuuid.create() });
+                }, libmanta.ShuttingDownError);
+                resume();
+            });
+        });
+    });
+
+    function resume() {
+        var ring2 = helper.createMorayClient();
+
+        ring2.once('connect', function () {
+            ring2.reindexBucket({
+                bucket: 'reindex_stop',
+                requestId: libuuid.create()
+            }).once('end', function (stats) {
+                t.equal(stats.processed, 2);
+                t.equal(stats.remaining, 0);
+                ring2.close();
+                t.end();
+            });
+        });
+    }
+});
+
+
+///--- Retry policy
+
+test('retry policy decides which errors are retried', function (t) {
+    var calls = [];
+    var ring = helper.createMorayClient({
+        retryPolicy: {
+            maxAttempts: 4,
+            initialDelay: 1,
+            maxDelay: 5,
+            retryable: function (err, info) {
+                calls.push(info);
+                return (err.name === 'EtagConflictError');
+            }
+        }
+    });
+
+    ring.once('connect', function () {
+        var opts = makeOpts();
+        opts._etag = 'not-the-etag';
+        ring.putMetadata(opts, function (err) {
+            t.ok(err);
+            t.equal(err.name, 'EtagConflictError');
+            t.equal(calls.length, 3);
+            t.equal(calls[0].op, 'putMetadata');
+            t.equal(calls[0].attempt, 1);
+            t.ok(calls[0].conditional);
+            ring.close();
+            t.end();
+        });
+    });
+});
@@ -0,0 +1,267 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+var once = require('once');
+var libuuid = require('libuuid');
+
+var libmanta = require('../lib');
+
+if (require.cache[__dirname + '/helper.js'])
+    delete require.cache[__dirname + '/helper.js'];
+var helper = require('./helper.js');
+
+
+///--- Globals
+
+var before = helper.before;
+var after = helper.after;
+var test = helper.test;
+var makeOpts = helper.makeOpts;
+
+var BACKEND = libmanta.createMemoryMorayBackend();
+
+
+///--- Helpers
+
+function findAll(client, bucket, filter, opts, cb) {
+    var records = [];
+    var req = client.findObjects(bucket, filter, opts);
+
+    req.on('record', function (r) {
+        records.push(r);
+    });
+    req.once('error', cb);
+    req.once('end', function () {
+        cb(null, records);
+    });
+}
+
+
+///--- Setup
+
+before(function (cb) {
+    cb = once(cb);
+
+    this.ring = libmanta.createMorayClient({
+        backend: BACKEND,
+        log: helper.createLogger()
+    });
+
+    this.ring.once('error', cb);
+    this.ring.once('connect', cb);
+});
+
+
+///--- Teardown
+
+after(function (cb) {
+    if (this.ring) {
+        this.ring.close();
+    }
+    cb();
+});
+
+
+///--- Tests
+
+test('directory counts follow inserts and deletes', function (t) {
+    var ring = this.ring;
+    var first = makeOpts();
+    var second = makeOpts({ owner: first.owner });
+    var dir = '/' + first.owner + '/stor';
+
+    ring.putMetadata(first, function (err) {
+        t.ifError(err);
+        ring.putMetadata(second, function (err2) {
+            t.ifError(err2);
+            ring.getDirectoryCount({
+                directory: dir,
+                requestId: libuuid.create()
+            }, function (err3, count) {
+                t.ifError(err3);
+                t.equal(count, 2);
+                ring.delMetadata({
+                    key: second.key,
+                    requestId: libuuid.create(),
+                    previousMetadata: {}
+                }, function (err4) {
+                    t.ifError(err4);
+                    ring.getDirectoryCount({
+                        directory: dir,
+                        requestId: libuuid.create()
+                    }, function (err5, count2) {
+                        t.ifError(err5);
+                        t.equal(count2, 1);
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+test('overwrite records previous object in delete log', function (t) {
+    var ring = this.ring;
+    var opts = makeOpts();
+
+    ring.putMetadata(opts, function (err, md) {
+        t.ifError(err);
+
+        var opts2 = makeOpts({ owner: opts.owner });
+        opts2.key = opts.key;
+        opts2.previousMetadata = md;
+        ring.putMetadata(opts2, function (err2) {
+            t.ifError(err2);
+            findAll(ring.client, 'manta_delete_log',
+                '(objectId=' + opts.objectId + ')', {},
+                function (err3, records) {
+                    t.ifError(err3);
+                    t.equal(records.length, 1);
+                    t.equal(records[0].value.key, opts.key);
+                    t.end();
+                });
+        });
+    });
+});
+
+
+test('delete without snaplinks uses fastdelete queue', function (t) {
+    var ring = this.ring;
+    var opts = makeOpts();
+
+    ring.putMetadata(opts, function (err, md) {
+        t.ifError(err);
+        ring.delMetadata({
+            key: opts.key,
+            requestId: libuuid.create(),
+            previousMetadata: md,
+            snapLinksDisabled: true
+        }, function (err2) {
+            t.ifError(err2);
+            ring.client.getObject('manta_fastdelete_queue', opts.objectId,
+                function (err3, obj) {
+                    t.ifError(err3);
+                    t.equal(obj.value.objectId, opts.objectId);
+                    t.end();
+                });
+        });
+    });
+});
+
+
+test('findObjects filters, sorts and counts', function (t) {
+    var ring = this.ring;
+    var owner = libuuid.create();
+    var dir = '/' + owner + '/stor/sorted';
+    var names = [ 'a', 'b', 'c' ];
+    var done = 0;
+
+    names.forEach(function (n) {
+        var opts = makeOpts({ owner: owner, path: '/sorted/' + n });
+        ring.putMetadata(opts, function (err) {
+            t.ifError(err);
+            if (++done < names.length)
+                return;
+
+            findAll(ring.client, 'manta',
+                '(&(dirname=' + dir + ')(name>=b))', {
+                    sort: { attribute: 'name', order: 'DESC' }
+                }, function (err2, records) {
+                    t.ifError(err2);
+                    t.deepEqual(records.map(function (r) {
+                        return (r.value.name);
+                    }), [ 'c', 'b' ]);
+                    t.equal(records[0]._count, 2);
+                    t.end();
+                });
+        });
+    });
+});
+
+
+test('etag mismatch is a conflict', function (t) {
+    var ring = this.ring;
+    var opts = makeOpts();
+
+    ring.putMetadata(opts, function (err) {
+        t.ifError(err);
+        opts._etag = 'not-the-etag';
+        ring.putMetadata(opts, function (err2) {
+            t.ok(err2);
+            t.equal(err2.name, 'EtagConflictError');
+            t.end();
+        });
+    });
+});
+
+
+test('batch is applied atomically', function (t) {
+    var ring = this.ring;
+    var opts = makeOpts();
+
+    ring.client.batch([ {
+        bucket: 'manta',
+        key: opts.key,
+        value: { dirname: '/' + opts.owner + '/stor', owner: opts.owner }
+    }, {
+        bucket: 'manta',
+        operation: 'delete',
+        key: '/' + opts.owner + '/stor/missing'
+    } ], function (err) {
+        t.ok(err);
+        t.equal(err.name, 'ObjectNotFoundError');
+        ring.client.getObject('manta', opts.key, function (err2) {
+            t.ok(err2);
+            t.equal(err2.name, 'ObjectNotFoundError');
+            ring.client.getObject('manta_directory_counts',
+                '/' + opts.owner + '/stor', function (err3) {
+                    t.ok(err3);
+                    t.end();
+                });
+        });
+    });
+});
+
+
+test('older bucket versions are refused', function (t) {
+    this.ring.client.putBucket('manta', {
+        options: { version: 1 }
+    }, function (err) {
+        t.ok(err);
+        t.equal(err.name, 'BucketVersionError');
+        t.end();
+    });
+});
+
+
+test('unknown triggers are refused', function (t) {
+    var client = this.ring.client;
+
+    client.putBucket('memory_hooks', {
+        post: [ function rewriteEverything(req, cb) {
+            cb();
+        } ]
+    }, function (err) {
+        t.ok(err);
+        t.equal(err.name, 'NotImplementedError');
+        client.putBucket('memory_hooks', {
+            post: [ 'function recordDeleteLog(req, cb) { cb(); }' ]
+        }, function (err2) {
+            t.ok(err2);
+            t.equal(err2.name, 'NotImplementedError');
+            client.getBucket('memory_hooks', function (err3) {
+                t.ok(err3);
+                t.equal(err3.name, 'BucketNotFoundError');
+                t.end();
+            });
+        });
+    });
+});
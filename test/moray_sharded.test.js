@@ -0,0 +1,446 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+var once = require('once');
+var libuuid = require('libuuid');
+var vasync = require('vasync');
+
+var libmanta = require('../lib');
+
+if (require.cache[__dirname + '/helper.js'])
+    delete require.cache[__dirname + '/helper.js'];
+var helper = require('./helper.js');
+
+
+
+///--- Globals
+
+var after = helper.after;
+var before = helper.before;
+var test = helper.test;
+var makeOpts = helper.makeOpts;
+
+var VNODES = 8;
+
+
+
+///--- Helpers
+
+/*
+ * Returns options for objects in `n` directories of one owner, chosen so that
+ * the directories are spread over both shards.
+ */
+function spreadOpts(sharded, n) {
+    var owner = libuuid.create();
+    var opts = [];
+    var shards = {};
+    var i, o;
+
+    for (i = 0; opts.length < n || Object.keys(shards).length < 2; i++) {
+        o = makeOpts({ owner: owner, path: '/d' + i + '/obj' });
+        shards[sharded.locate('/' + owner + '/stor/d' + i).shard] = true;
+        opts.push(o);
+    }
+
+    return (opts);
+}
+
+
+/*
+ * Returns a sharded client over two in-memory shards, "a" and "b", which hold
+ * alternate vnodes.
+ */
+function createSharded() {
+    var vnodes = [];
+    var i;
+
+    for (i = 0; i < VNODES; i++)
+        vnodes.push(i % 2 === 0 ? 'a' : 'b');
+
+    return (libmanta.createShardedMorayClient({
+        log: helper.createLogger(),
+        ring: {
+            vnodes: vnodes
+        },
+        shards: {
+            a: { backend: libmanta.createMemoryMorayBackend() },
+            b: { backend: libmanta.createMemoryMorayBackend() }
+        }
+    }));
+}
+
+
+/* Searches `sharded` with shard "a" shut down, and calls back after that. */
+function searchOneDown(t, sharded, cb) {
+    var opts = spreadOpts(sharded, 4);
+    var owner = opts[0].owner;
+
+    vasync.forEachPipeline({
+        inputs: opts,
+        func: function (o, next) {
+            sharded.putMetadata(o, next);
+        }
+    }, function (err) {
+        t.ifError(err);
+
+        sharded.shards.a.shutdown(function () {
+            var failed = false;
+            var req = sharded.search({
+                filter: '(owner=' + owner + ')',
+                requestId: libuuid.create()
+            });
+
+            req.on('record', function () {
+                t.ok(!failed, 'record after error');
+            });
+            req.once('error', function (err2) {
+                t.equal(err2.name, 'ShuttingDownError');
+                failed = true;
+                setTimeout(cb, 100);
+            });
+            req.once('end', function () {
+                t.ok(false, 'search ended');
+            });
+        });
+    });
+}
+
+
+
+///--- Tests
+
+before(function (cb) {
+    cb = once(cb);
+
+    this.sharded = createSharded();
+
+    this.sharded.once('error', cb);
+    this.sharded.once('connect', cb);
+});
+
+
+after(function (cb) {
+    if (this.sharded) {
+        this.sharded.close(function () {
+            cb();
+        });
+    } else {
+        cb();
+    }
+});
+
+
+test('keys hash to vnodes as in electric-moray', function (t) {
+    var vnodes = [];
+    var i;
+
+    for (i = 0; i < 1024; i++)
+        vnodes.push('a');
+
+    var sharded = libmanta.createShardedMorayClient({
+        log: helper.createLogger(),
+        ring: {
+            algorithm: 'sha256',
+            vnodes: vnodes
+        },
+        shards: {
+            a: { backend: libmanta.createMemoryMorayBackend() }
+        }
+    });
+
+    t.equal(sharded.locate('/poseidon/stor').vnode, 264);
+    t.equal(sharded.locate('/poseidon/stor').shard, 'a');
+    t.throws(function () {
+        libmanta.createShardedMorayClient({
+            log: helper.createLogger(),
+            ring: {
+                vnodes: [ 'a', 'c' ]
+            },
+            shards: {
+                a: {}
+            }
+        });
+    });
+
+    sharded.once('connect', function () {
+        sharded.close(function () {
+            t.end();
+        });
+    });
+});
+
+
+test('metadata is routed by directory name', function (t) {
+    var sharded = this.sharded;
+    var opts = spreadOpts(sharded, 4);
+
+    vasync.forEachPipeline({
+        inputs: opts,
+        func: function (o, next) {
+            sharded.putMetadata(o, next);
+        }
+    }, function (err) {
+        t.ifError(err);
+
+        vasync.forEachPipeline({
+            inputs: opts,
+            func: function (o, next) {
+                var loc = sharded.shardFor(o.key);
+                var other = sharded.shards[loc === sharded.shards.a ?
+                    'b' : 'a'];
+
+                loc.getMetadata({
+                    key: o.key,
+                    requestId: libuuid.create()
+                }, function (err2, md) {
+                    t.ifError(err2);
+                    t.equal(md.key, o.key);
+                    other.getMetadata({
+                        key: o.key,
+                        requestId: libuuid.create()
+                    }, function (err3) {
+                        t.ok(err3);
+                        t.equal(err3.name, 'ObjectNotFoundError');
+                        next();
+                    });
+                });
+            }
+        }, function (err2) {
+            t.ifError(err2);
+            t.end();
+        });
+    });
+});
+
+
+test('top-level directories are routed by their own key', function (t) {
+    var sharded = this.sharded;
+    var opts;
+
+    /* Find an owner whose "/<owner>" and "/<owner>/stor" are apart. */
+    do {
+        opts = makeOpts({ type: 'directory' });
+        opts.key = '/' + opts.owner + '/stor';
+    } while (sharded.locate(opts.key).shard ===
+        sharded.locate('/' + opts.owner).shard);
+
+    t.equal(sharded.shardFor(opts.key), sharded.locate(opts.key).client);
+    sharded.putMetadata(opts, function (err, md) {
+        t.ifError(err);
+        t.equal(md.dirname, opts.key);
+        sharded.locate(opts.key).client.getMetadata({
+            key: opts.key,
+            requestId: libuuid.create()
+        }, function (err2, md2) {
+            t.ifError(err2);
+            t.equal(md2.key, opts.key);
+            t.end();
+        });
+    });
+});
+
+
+test('getDirectoryCount and delMetadata use the same shard', function (t) {
+    var sharded = this.sharded;
+    var o1 = makeOpts({ path: '/dir/one' });
+    var o2 = makeOpts({ owner: o1.owner, path: '/dir/two' });
+    var dir = '/' + o1.owner + '/stor/dir';
+
+    function count(expected, cb) {
+        sharded.getDirectoryCount({
+            directory: dir,
+            requestId: libuuid.create()
+        }, function (err, n) {
+            t.ifError(err);
+            t.equal(n, expected);
+            cb();
+        });
+    }
+
+    sharded.putMetadata(o1, function (err) {
+        t.ifError(err);
+        sharded.putMetadata(o2, function (err2) {
+            t.ifError(err2);
+            count(2, function () {
+                sharded.delMetadata({
+                    key: o1.key,
+                    requestId: libuuid.create()
+                }, function (err3) {
+                    t.ifError(err3);
+                    sharded.getMetadataAsync({
+                        key: o2.key,
+                        requestId: libuuid.create()
+                    }).then(function (md) {
+                        t.equal(md.key, o2.key);
+                        count(1, t.end.bind(t));
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+test('search fans out to every shard', function (t) {
+    var sharded = this.sharded;
+    var opts = spreadOpts(sharded, 4);
+    var owner = opts[0].owner;
+
+    vasync.forEachPipeline({
+        inputs: opts,
+        func: function (o, next) {
+            sharded.putMetadata(o, next);
+        }
+    }, function (err) {
+        t.ifError(err);
+
+        var keys = [];
+        var req = sharded.search({
+            filter: '(owner=' + owner + ')',
+            requestId: libuuid.create()
+        });
+
+        req.on('record', function (obj) {
+            keys.push(obj.key);
+        });
+        req.once('error', function (err2) {
+            t.ifError(err2);
+            t.end();
+        });
+        req.once('end', function () {
+            t.deepEqual(keys.sort(), opts.map(function (o) {
+                return (o.key);
+            }).sort());
+
+            var dirname = '/' + owner + '/stor/d0';
+            var one = [];
+            var req2 = sharded.search({
+                filter: '(dirname=' + dirname + ')',
+                hashkey: dirname,
+                requestId: libuuid.create()
+            });
+
+            req2.on('record', function (obj) {
+                one.push(obj.key);
+            });
+            req2.once('end', function () {
+                t.deepEqual(one, [ opts[0].key ]);
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('findReferences asks every shard', function (t) {
+    var sharded = this.sharded;
+    var opts = spreadOpts(sharded, 3);
+    var obj = opts[0];
+
+    sharded.putMetadata(obj, function (err, md) {
+        t.ifError(err);
+
+        /* Snaplinks to the object, in directories on both shards. */
+        vasync.forEachPipeline({
+            inputs: opts.slice(1),
+            func: function (o, next) {
+                o.type = 'link';
+                o.link = md;
+                sharded.putMetadata(o, next);
+            }
+        }, function (err2) {
+            t.ifError(err2);
+            sharded.findReferences({
+                objectId: obj.objectId,
+                requestId: libuuid.create()
+            }, function (err3, refs) {
+                t.ifError(err3);
+                t.deepEqual(refs.map(function (r) {
+                    return (r.key);
+                }), opts.map(function (o) {
+                    return (o.key);
+                }).sort());
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('search stops at the first error', function (t) {
+    var sharded = createSharded();
+
+    sharded.once('connect', function () {
+        searchOneDown(t, sharded, function () {
+            sharded.shards.b.close(function () {
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('search reports shards that throw as errors', function (t) {
+    var sharded = createSharded();
+
+    sharded.once('connect', function () {
+        var req;
+
+        /* As Moray.search does when its shard has no client. */
+        sharded.shards.a.search = function () {
+            throw new Error('not connected');
+        };
+        t.doesNotThrow(function () {
+            req = sharded.search({
+                filter: '(owner=*)',
+                requestId: libuuid.create()
+            });
+        });
+        req.once('error', function (err) {
+            t.ok(err);
+            t.equal(err.message, 'not connected');
+            sharded.close(function () {
+                t.end();
+            });
+        });
+        req.once('end', function () {
+            t.ok(false, 'search ended');
+        });
+    });
+});
+
+
+test('shutdown shuts down every shard', function (t) {
+    var sharded = createSharded();
+
+    sharded.once('connect', function () {
+        var put = false;
+
+        t.equal(sharded.getInflightCount(), 0);
+        sharded.putMetadata(makeOpts(), function (err) {
+            t.ifError(err);
+            put = true;
+        });
+        t.equal(sharded.getInflightCount(), 1);
+
+        sharded.shutdown({ timeout: 1000 }, function () {
+            t.ok(put, 'running request completed');
+            t.equal(sharded.getInflightCount(), 0);
+            Object.keys(sharded.shards).forEach(function (name) {
+                t.equal(sharded.shards[name].status().phase, 'closed');
+            });
+            sharded.putMetadata(makeOpts(), function (err) {
+                t.ok(err);
+                t.equal(err.name, 'ShuttingDownError');
+                t.end();
+            });
+        });
+    });
+});